@@ -4,7 +4,99 @@ export const AUDIO_CONFIG = Object.freeze({
   DURATION_MS: 33000, // 33 seconds per segment (3s overlap)
   CHUNK_MS: 3000, // 3 second chunks
   MAX_RETRY_ATTEMPTS: 3,
-  TAB_DETECTION_INTERVAL_MS: 3000,
+  STREAM_CHUNK_MS: 250, // MediaRecorder timeslice while streaming
+  STREAM_KEEPALIVE_MS: 8000,
+  STREAM_FLUSH_TIMEOUT_MS: 2000, // wait for the recorder's last chunk when stopping
+  STREAM_CLOSE_TIMEOUT_MS: 5000, // after CloseStream, before giving up on the server closing
+});
+
+// Segments are re-encoded before upload in the provider's preferredAudioFormat
+export const AUDIO_ENCODING_CONFIG = Object.freeze({
+  SAMPLE_RATE: 16000, // speech models resample to 16 kHz anyway
+  WORKER_PATH: 'js/workers/audio-encoder-worker.js',
+  MIME_TYPES: Object.freeze({ wav: 'audio/wav', flac: 'audio/flac' }),
+});
+
+// Uploaded audio/video files
+export const FILE_TRANSCRIPTION_CONFIG = Object.freeze({
+  SESSION_ID: 'file',
+  ACCEPTED_TYPE_PREFIXES: Object.freeze(['audio/', 'video/']),
+});
+
+// Voice activity detection
+export const VAD_CONFIG = Object.freeze({
+  FFT_SIZE: 2048,
+  SAMPLE_INTERVAL_MS: 100,
+  ENERGY_THRESHOLD_DB: -50, // dBFS level counted as speech
+  MIN_SPEECH_RATIO: 0.05, // segments with less speech than this are skipped
+  MIN_FRAMES: 50, // don't judge windows with less than ~5s of samples
+});
+
+// Overlap de-duplication between consecutive segments
+export const STITCH_CONFIG = Object.freeze({
+  MAX_OVERLAP_WORDS: 20, // ~3s of fast speech
+  MIN_OVERLAP_WORDS: 2,
+  LENGTH_TOLERANCE: 2, // words the overlap may gain or lose between transcriptions
+  TOKEN_SIMILARITY: 0.75, // per-word similarity to count as the same word
+  MIN_MATCH_RATIO: 0.75, // share of overlap words that must match
+});
+
+// Spoken language, sent to providers as an ISO 639-1 code; names are used in the Gemini prompt
+export const LANGUAGE_CONFIG = Object.freeze({
+  AUTO_DETECT: 'auto',
+  LANGUAGES: Object.freeze({
+    en: 'English',
+    es: 'Spanish',
+    de: 'German',
+    fr: 'French',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    pl: 'Polish',
+    sv: 'Swedish',
+    tr: 'Turkish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ja: 'Japanese',
+    ko: 'Korean',
+    zh: 'Chinese',
+    hi: 'Hindi',
+  }),
+});
+
+// Word-level confidence in the transcript view
+export const CONFIDENCE_CONFIG = Object.freeze({
+  LOW_WORD_CONFIDENCE: 0.6, // words below this are flagged for a second look
+});
+
+// Custom vocabulary, hinted to each provider in its own way
+export const GLOSSARY_CONFIG = Object.freeze({
+  MAX_PROMPT_CHARS: 800, // Whisper only reads the last 224 tokens of its prompt
+  MAX_KEYWORDS: 100, // Deepgram's recommended limit per request
+  CORRECTION_SEPARATOR: '=>',
+});
+
+// Personal data redaction, applied before transcripts are shown, stored or exported
+export const REDACTION_CONFIG = Object.freeze({
+  MODES: Object.freeze({ MASK: 'mask', HASH: 'hash', DROP: 'drop' }),
+  DETECTORS: Object.freeze(['email', 'phone', 'card', 'iban']),
+  DEFAULT_SETTINGS: Object.freeze({
+    enabled: false,
+    detectors: Object.freeze(['email', 'phone', 'card', 'iban']),
+    mode: 'mask',
+    customRules: Object.freeze([]), // regular expression sources
+  }),
+  CUSTOM_RULE_LABEL: 'REDACTED',
+  HASH_LENGTH: 8, // hex characters kept from the salted SHA-256
+  MIN_PHONE_DIGITS: 7,
+  MAX_PHONE_DIGITS: 15,
+});
+
+// Map-reduce summarization of long transcripts
+export const SUMMARY_CONFIG = Object.freeze({
+  CHARS_PER_TOKEN: 4, // rough estimate for English text
+  MAX_CHUNK_TOKENS: 8000, // per summarization request, well under provider context limits
+  MAX_REDUCE_LEVELS: 4,
 });
 
 // API provider configs
@@ -19,6 +111,8 @@ export const API_PROVIDERS = Object.freeze({
     endpoint:
       'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash-latest:generateContent',
     isDefault: true,
+    preferredAudioFormat: 'flac',
+    supportsDiarization: true, // speaker-labelled lines requested in the prompt
   }),
   openai: Object.freeze({
     id: 'openai',
@@ -29,6 +123,8 @@ export const API_PROVIDERS = Object.freeze({
     configElementId: 'openaiConfig',
     endpoint: 'https://api.openai.com/v1/audio/transcriptions',
     model: 'whisper-1',
+    preferredAudioFormat: 'flac',
+    wordTimestamps: true, // verbose_json with word timings
   }),
   deepgram: Object.freeze({
     id: 'deepgram',
@@ -38,6 +134,15 @@ export const API_PROVIDERS = Object.freeze({
     saveButtonElementId: 'saveDeepgramKeyBtn',
     configElementId: 'deepgramConfig',
     endpoint: 'https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true',
+    streamingEndpoint:
+      'wss://api.deepgram.com/v1/listen?model=nova-2&smart_format=true&interim_results=true',
+    streamingToggleElementId: 'deepgramStreaming',
+    preferredAudioFormat: 'flac',
+    supportsDiarization: true,
+    diarizationParams: '&diarize=true&utterances=true',
+    detectLanguageParams: '&detect_language=true',
+    // Its summarize endpoint takes no instructions, so it can't translate
+    supportsTextInstructions: false,
   }),
   fireworks: Object.freeze({
     id: 'fireworks',
@@ -48,9 +153,33 @@ export const API_PROVIDERS = Object.freeze({
     configElementId: 'fireworksConfig',
     endpoint: 'https://api.fireworks.ai/inference/v1/audio/transcriptions',
     model: 'whisper-v3',
+    preferredAudioFormat: 'flac',
+    wordTimestamps: true,
+  }),
+  // Any OpenAI-compatible server (faster-whisper-server, LocalAI, vLLM, ...)
+  custom: Object.freeze({
+    id: 'custom',
+    name: 'Custom endpoint',
+    keyName: 'CUSTOM_API_KEY',
+    settingsKeyName: 'CUSTOM_ENDPOINT_SETTINGS',
+    inputElementId: 'customApiKey',
+    saveButtonElementId: 'saveCustomKeyBtn',
+    configElementId: 'customConfig',
+    transcriptionPath: '/v1/audio/transcriptions',
+    requiresApiKey: false,
+    // Every self-hosted server decodes WAV; FLAC support depends on its ffmpeg build
+    preferredAudioFormat: 'wav',
+    // Not every server implements verbose_json, so only plain text is requested
   }),
 });
 
+// Accept either a server root or the full transcription URL
+export const buildCustomEndpointUrl = baseUrl => {
+  const trimmed = baseUrl.trim().replace(/\/+$/, '');
+  const { transcriptionPath } = API_PROVIDERS.custom;
+  return trimmed.endsWith(transcriptionPath) ? trimmed : `${trimmed}${transcriptionPath}`;
+};
+
 // UI constants
 export const UI_CONSTANTS = Object.freeze({
   CSS_CLASSES: Object.freeze({
@@ -63,11 +192,29 @@ export const UI_CONSTANTS = Object.freeze({
     OPEN: 'open',
     ACTIVE: 'active',
     TRANSCRIPTION_ITEM: 'transcription-item',
+    INTERIM: 'interim',
+    IN_FLIGHT: 'in-flight',
+    SPEAKER: 'speaker',
+    LOW_CONFIDENCE: 'low-confidence',
+    LANGUAGE: 'lang',
+    SEEKABLE: 'seekable',
+    MEDIA_TIME: 'media-time',
     TIMESTAMP: 'ts',
     CHANNEL: 'chan',
     TAB_ITEM: 'tab-item',
     TAB_TITLE: 'tab-title',
     PLACEHOLDER: 'placeholder',
+    FALLBACK_ITEM: 'fallback-item',
+    TRANSCRIPT_TEXT: 'transcript-text',
+    TRANSLATION: 'translation',
+    TRANSLATED: 'translated',
+  }),
+
+  // Which text translated transcripts show, and export
+  TRANSCRIPT_VIEWS: Object.freeze({
+    BOTH: 'both',
+    ORIGINAL: 'original',
+    TRANSLATION: 'translation',
   }),
 
   BUTTON_STATES: Object.freeze({
@@ -92,15 +239,121 @@ export const UI_CONSTANTS = Object.freeze({
     OGG_OPUS: 'audio/ogg;codecs=opus',
     WEBM: 'audio/webm',
     TEXT_PLAIN: 'text/plain',
+    SRT: 'application/x-subrip',
+    VTT: 'text/vtt',
+    MARKDOWN: 'text/markdown',
   }),
 });
 
 // Storage keys
 export const STORAGE_KEYS = Object.freeze({
   API_PROVIDER: 'API_PROVIDER',
+  STREAMING_ENABLED: 'STREAMING_ENABLED',
+  SKIP_SILENT_SEGMENTS: 'SKIP_SILENT_SEGMENTS',
+  MIX_AUDIO_SOURCES: 'MIX_AUDIO_SOURCES',
+  FALLBACK_PROVIDERS: 'FALLBACK_PROVIDERS',
+  STREAMING_ENDPOINT_OVERRIDE: 'STREAMING_ENDPOINT_OVERRIDE',
+  TAB_DOMAIN_RULES: 'TAB_DOMAIN_RULES',
+  IDENTIFY_SPEAKERS: 'IDENTIFY_SPEAKERS',
+  TRANSCRIPTION_LANGUAGE: 'TRANSCRIPTION_LANGUAGE',
+  TRANSLATION_LANGUAGE: 'TRANSLATION_LANGUAGE',
+  SHOW_CAPTIONS: 'SHOW_CAPTIONS',
+  CAPTION_OVERLAY_PREFS: 'CAPTION_OVERLAY_PREFS', // written by the caption overlay, per domain
+  GLOSSARY_PROFILES: 'GLOSSARY_PROFILES',
+  REDACTION_SETTINGS: 'REDACTION_SETTINGS',
+  REDACTION_HASH_SALT: 'REDACTION_HASH_SALT',
   DEFAULT_PROVIDER: 'gemini',
 });
 
+// Audible tab picker
+export const TAB_REGISTRY_CONFIG = Object.freeze({
+  DEFAULT_DOMAIN_RULES: Object.freeze(['youtube.com']),
+  // tabs.onUpdated fields that can change whether or how a tab is listed
+  WATCHED_TAB_FIELDS: Object.freeze(['audible', 'mutedInfo', 'title', 'favIconUrl', 'url']),
+});
+
+// Subtitle export
+export const SUBTITLE_CONFIG = Object.freeze({
+  MAX_CUE_CHARS: 84, // two lines
+  MAX_LINE_CHARS: 42,
+  MIN_SENTENCE_CUE_CHARS: 20, // shorter sentences are merged with the next one
+});
+
+// IndexedDB for recording history
+export const HISTORY_DB = Object.freeze({
+  NAME: 'audio-transcriber',
+  VERSION: 3,
+  SESSIONS_STORE: 'sessions',
+  TRANSCRIPTS_STORE: 'transcripts', // one row per transcript, so saving one doesn't rewrite the session
+  PENDING_STORE: 'pendingSegments', // failed segments with their audio, awaiting retry
+});
+
+// Retry schedule for the pending segment queue
+export const PENDING_QUEUE_CONFIG = Object.freeze({
+  BASE_DELAY_MS: 15000,
+  MAX_DELAY_MS: 10 * 60 * 1000,
+});
+
+// Recording runs in an offscreen document so it survives the side panel closing
+export const OFFSCREEN_CONFIG = Object.freeze({
+  PATH: 'offscreen.html',
+  REASONS: Object.freeze(['USER_MEDIA']),
+  JUSTIFICATION: 'Record tab and microphone audio while the side panel is closed',
+});
+
+// Every runtime message names the context that should handle it
+export const MESSAGE_TARGETS = Object.freeze({
+  SERVICE_WORKER: 'service-worker',
+  OFFSCREEN: 'offscreen',
+  SIDE_PANEL: 'side-panel',
+  // Content scripts repeat their own target and message types
+  CAPTION_OVERLAY: 'caption-overlay',
+  MEDIA_CONTROL: 'media-control',
+});
+
+export const MESSAGE_TYPES = Object.freeze({
+  // Side panel -> service worker -> offscreen recorder
+  START_RECORDING: 'start-recording',
+  STOP_RECORDING: 'stop-recording',
+  ADD_TAB: 'add-tab',
+  REMOVE_TAB: 'remove-tab',
+  SET_MICROPHONE: 'set-microphone',
+  GET_RECORDING_STATE: 'get-recording-state',
+  CLEAR_TRANSCRIPTS: 'clear-transcripts',
+  TRANSCRIBE_FILE: 'transcribe-file',
+  RESUME_PENDING_QUEUE: 'resume-pending-queue',
+  RETRY_PENDING: 'retry-pending',
+  DISCARD_PENDING: 'discard-pending',
+
+  // Offscreen recorder -> side panel
+  RECORDING_EVENT: 'recording-event',
+
+  // Offscreen recorder -> service worker -> captured tab
+  SHOW_CAPTION: 'show-caption',
+  GET_MEDIA_TIME: 'get-media-time',
+
+  // Side panel -> service worker -> captured tab
+  SEEK_MEDIA: 'seek-media',
+});
+
+// Content scripts, injected into captured tabs on first use
+export const CONTENT_SCRIPTS = Object.freeze({
+  CAPTION_OVERLAY: 'js/content/caption-overlay.js',
+  MEDIA_CONTROL: 'js/content/media-control.js',
+});
+
+export const RECORDING_EVENTS = Object.freeze({
+  STATE: 'state',
+  STATUS: 'status',
+  TRANSCRIPT: 'transcript',
+  NOTICE: 'notice',
+  INTERIM: 'interim',
+  FILE_PROGRESS: 'file-progress',
+  QUEUE: 'queue',
+  SEGMENT_IN_FLIGHT: 'segment-in-flight',
+  SEGMENT_SETTLED: 'segment-settled',
+});
+
 // Timer config
 export const TIMER_CONFIG = Object.freeze({
   UPDATE_INTERVAL_MS: 1000,
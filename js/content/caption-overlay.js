@@ -0,0 +1,326 @@
+// Caption overlay injected into captured tabs by the service worker.
+// Content scripts are classic scripts, so the shared message and storage names are repeated here.
+(() => {
+  // Injected again after a failed delivery; one overlay per page is enough
+  if (window.realtimeTranscriberCaptions) return;
+  window.realtimeTranscriberCaptions = true;
+
+  const CAPTION_TARGET = 'caption-overlay';
+  const SHOW_CAPTION = 'show-caption';
+  const PREFS_STORAGE_KEY = 'CAPTION_OVERLAY_PREFS';
+
+  const DEFAULT_PREFS = Object.freeze({
+    fontSize: 24,
+    opacity: 0.75,
+    x: 0.5, // centre of the box, as a fraction of the viewport
+    y: 0.85,
+    width: 640,
+  });
+  const FONT_SIZE_STEP = 2;
+  const MIN_FONT_SIZE = 12;
+  const MAX_FONT_SIZE = 64;
+  const OPACITY_STEPS = [0, 0.4, 0.75, 1];
+  const MAX_FINAL_LINES = 2;
+  const HIDE_AFTER_MS = 10000; // quiet captions shouldn't cover the video forever
+  const SAVE_DELAY_MS = 500;
+
+  const OVERLAY_STYLES = `
+    :host { all: initial; }
+    .box {
+      position: fixed;
+      z-index: 2147483647;
+      transform: translate(-50%, -50%);
+      box-sizing: border-box;
+      min-width: 200px;
+      max-width: 95vw;
+      padding: 8px 14px;
+      border-radius: 8px;
+      color: #fff;
+      font-family: system-ui, -apple-system, sans-serif;
+      line-height: 1.35;
+      text-align: center;
+      text-shadow: 0 1px 2px rgb(0 0 0 / 0.8);
+      cursor: move;
+      user-select: none;
+      resize: horizontal;
+      overflow: hidden;
+    }
+    .box[hidden] { display: none; }
+    .line { margin: 0; white-space: pre-wrap; }
+    .interim { opacity: 0.7; }
+    .controls {
+      position: absolute;
+      top: 2px;
+      right: 4px;
+      display: none;
+      gap: 2px;
+    }
+    .box:hover .controls { display: flex; }
+    .controls button {
+      all: unset;
+      cursor: pointer;
+      font: 12px system-ui, sans-serif;
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: rgb(255 255 255 / 0.2);
+      color: #fff;
+    }
+    .controls button:hover { background: rgb(255 255 255 / 0.35); }
+  `;
+
+  let overlayState = {
+    host: null,
+    box: null,
+    lines: null,
+    prefs: { ...DEFAULT_PREFS },
+    finalLines: [],
+    interimText: '',
+    hideTimer: null,
+    saveTimer: null,
+  };
+
+
+  const createButton = (label, title, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', event => {
+      event.stopPropagation();
+      onClick();
+    });
+    return button;
+  };
+
+
+  const createOverlay = () => {
+    const host = document.createElement('div');
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = OVERLAY_STYLES;
+
+    const box = document.createElement('div');
+    box.className = 'box';
+    box.hidden = true;
+
+    const lines = document.createElement('div');
+    const controls = document.createElement('div');
+    controls.className = 'controls';
+    controls.append(
+      createButton('A−', 'Smaller text', () => changeFontSize(-FONT_SIZE_STEP)),
+      createButton('A+', 'Larger text', () => changeFontSize(FONT_SIZE_STEP)),
+      createButton('◐', 'Background opacity', cycleOpacity),
+      createButton('×', 'Hide until the next caption', hideCaptions)
+    );
+
+    box.append(controls, lines);
+    shadow.append(style, box);
+
+    overlayState = { ...overlayState, host, box, lines };
+    bindDragging(box);
+    bindResizing(box);
+    attachOverlay();
+    applyPrefs();
+  };
+
+
+  // Only the fullscreen element's subtree is drawn in fullscreen, so the overlay moves into it.
+  // A <video> can't hold children, so fullscreen videos keep it in the document.
+  const attachOverlay = () => {
+    const fullscreenElement = document.fullscreenElement;
+    const parent =
+      fullscreenElement && fullscreenElement.tagName !== 'VIDEO'
+        ? fullscreenElement
+        : document.documentElement;
+    if (overlayState.host.parentNode !== parent) {
+      parent.appendChild(overlayState.host);
+    }
+  };
+
+
+  const applyPrefs = () => {
+    const { box, prefs } = overlayState;
+    box.style.left = `${prefs.x * 100}%`;
+    box.style.top = `${prefs.y * 100}%`;
+    box.style.width = `${prefs.width}px`;
+    box.style.fontSize = `${prefs.fontSize}px`;
+    box.style.background = `rgb(0 0 0 / ${prefs.opacity})`;
+  };
+
+
+
+
+  const loadPrefs = async () => {
+    try {
+      const result = await chrome.storage.local.get([PREFS_STORAGE_KEY]);
+      const domainPrefs = result[PREFS_STORAGE_KEY]?.[location.hostname];
+      overlayState.prefs = { ...DEFAULT_PREFS, ...domainPrefs };
+    } catch (error) {
+      console.warn('Failed to load caption preferences:', error);
+    }
+  };
+
+
+  // Remembered per domain, so each site keeps captions clear of its own player controls
+  const savePrefs = () => {
+    clearTimeout(overlayState.saveTimer);
+    overlayState.saveTimer = setTimeout(async () => {
+      try {
+        const result = await chrome.storage.local.get([PREFS_STORAGE_KEY]);
+        await chrome.storage.local.set({
+          [PREFS_STORAGE_KEY]: {
+            ...result[PREFS_STORAGE_KEY],
+            [location.hostname]: overlayState.prefs,
+          },
+        });
+      } catch (error) {
+        console.warn('Failed to save caption preferences:', error);
+      }
+    }, SAVE_DELAY_MS);
+  };
+
+
+  const updatePrefs = changes => {
+    overlayState.prefs = { ...overlayState.prefs, ...changes };
+    applyPrefs();
+    savePrefs();
+  };
+
+
+  const changeFontSize = delta => {
+    const fontSize = overlayState.prefs.fontSize + delta;
+    updatePrefs({ fontSize: Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, fontSize)) });
+  };
+
+
+  const cycleOpacity = () => {
+    const index = OPACITY_STEPS.indexOf(overlayState.prefs.opacity);
+    updatePrefs({ opacity: OPACITY_STEPS[(index + 1) % OPACITY_STEPS.length] });
+  };
+
+
+
+
+  const bindDragging = box => {
+    let drag = null;
+
+    box.addEventListener('pointerdown', event => {
+      // Capturing the pointer would swallow button clicks
+      if (event.target.closest('button')) return;
+
+      // The bottom-right corner is the resize handle
+      const rect = box.getBoundingClientRect();
+      if (event.clientX > rect.right - 16 && event.clientY > rect.bottom - 16) return;
+
+      drag = {
+        offsetX: event.clientX - (rect.left + rect.width / 2),
+        offsetY: event.clientY - (rect.top + rect.height / 2),
+      };
+      box.setPointerCapture(event.pointerId);
+    });
+
+    box.addEventListener('pointermove', event => {
+      if (!drag) return;
+      overlayState.prefs.x = (event.clientX - drag.offsetX) / window.innerWidth;
+      overlayState.prefs.y = (event.clientY - drag.offsetY) / window.innerHeight;
+      applyPrefs();
+    });
+
+    box.addEventListener('pointerup', () => {
+      if (!drag) return;
+      drag = null;
+      updatePrefs({
+        x: Math.min(1, Math.max(0, overlayState.prefs.x)),
+        y: Math.min(1, Math.max(0, overlayState.prefs.y)),
+      });
+    });
+  };
+
+
+  // The native resize handle changes the inline width; save it once it settles
+  const bindResizing = box => {
+    new ResizeObserver(() => {
+      if (box.hidden) return;
+      const width = Math.round(box.getBoundingClientRect().width);
+      if (width > 0 && width !== overlayState.prefs.width) {
+        overlayState.prefs.width = width;
+        savePrefs();
+      }
+    }).observe(box);
+  };
+
+
+
+
+  const renderCaptions = () => {
+    const { box, lines, finalLines, interimText } = overlayState;
+    const texts = interimText ? [...finalLines, interimText] : finalLines;
+
+    lines.replaceChildren(
+      ...texts.map((text, index) => {
+        const line = document.createElement('p');
+        line.className = interimText && index === texts.length - 1 ? 'line interim' : 'line';
+        line.textContent = text;
+        return line;
+      })
+    );
+    box.hidden = texts.length === 0;
+  };
+
+
+  const hideCaptions = () => {
+    clearTimeout(overlayState.hideTimer);
+    overlayState.finalLines = [];
+    overlayState.interimText = '';
+    renderCaptions();
+  };
+
+
+  // Empty text means the recording of this tab stopped
+  const showCaption = ({ text, isFinal }) => {
+    if (!text) {
+      hideCaptions();
+      return;
+    }
+
+    if (isFinal) {
+      overlayState.finalLines = [...overlayState.finalLines, text].slice(-MAX_FINAL_LINES);
+      overlayState.interimText = '';
+    } else {
+      overlayState.interimText = text;
+    }
+
+    attachOverlay();
+    renderCaptions();
+    clearTimeout(overlayState.hideTimer);
+    overlayState.hideTimer = setTimeout(hideCaptions, HIDE_AFTER_MS);
+  };
+
+
+
+
+  // Captions that arrive while the preferences load are shown once the overlay exists
+  const pendingCaptions = [];
+  loadPrefs().then(() => {
+    createOverlay();
+    pendingCaptions.splice(0).forEach(showCaption);
+  });
+
+  document.addEventListener('fullscreenchange', () => {
+    if (overlayState.host) attachOverlay();
+  });
+
+  // The answer tells the service worker the overlay is here; other scripts share this event
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.target !== CAPTION_TARGET || message.type !== SHOW_CAPTION) return false;
+
+    if (overlayState.host) {
+      showCaption(message);
+    } else {
+      pendingCaptions.push(message);
+    }
+    sendResponse({ success: true });
+    return false;
+  });
+})();
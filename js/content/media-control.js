@@ -0,0 +1,62 @@
+// Reads and sets video playback time on captured tabs, for linking transcripts to the video.
+// Content scripts are classic scripts, so the shared message names are repeated here.
+(() => {
+  // Injected again after a failed delivery; one listener per page is enough
+  if (window.realtimeTranscriberMediaControl) return;
+  window.realtimeTranscriberMediaControl = true;
+
+  const MEDIA_TARGET = 'media-control';
+  const GET_MEDIA_TIME = 'get-media-time';
+  const SEEK_MEDIA = 'seek-media';
+
+
+  // The playing video, or else the largest one, e.g. a paused player next to muted previews
+  const findVideo = () => {
+    const videos = Array.from(document.querySelectorAll('video')).filter(
+      video => video.readyState > 0
+    );
+    const playing = videos.find(video => !video.paused);
+    if (playing) return playing;
+
+    const getArea = video => video.clientWidth * video.clientHeight;
+    return videos.sort((a, b) => getArea(b) - getArea(a))[0] || null;
+  };
+
+
+  // Single-page sites change video without reloading, so the URL tells the videos apart
+  const getPageUrl = () => location.href.split('#')[0];
+
+
+  const getMediaTime = () => {
+    const video = findVideo();
+    if (!video) return { success: true, media: null };
+    return { success: true, media: { time: video.currentTime, url: getPageUrl() } };
+  };
+
+
+  const seekMedia = ({ time, url }) => {
+    if (url && url !== getPageUrl()) {
+      return { success: false, error: 'The tab is no longer showing that video' };
+    }
+
+    const video = findVideo();
+    if (!video) {
+      return { success: false, error: 'No video found in the tab' };
+    }
+
+    video.currentTime = time;
+    return { success: true };
+  };
+
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.target !== MEDIA_TARGET) return false;
+
+    if (message.type === GET_MEDIA_TIME) {
+      sendResponse(getMediaTime());
+    } else if (message.type === SEEK_MEDIA) {
+      sendResponse(seekMedia(message));
+    }
+    return false;
+  });
+})();
@@ -1,4 +1,9 @@
-import { AUDIO_CONFIG, UI_CONSTANTS } from './config/app-config.js';
+import {
+  UI_CONSTANTS,
+  MESSAGE_TYPES,
+  RECORDING_EVENTS,
+  FILE_TRANSCRIPTION_CONFIG,
+} from './config/app-config.js';
 import {
   initializeDOMElements,
   getDOMElements,
@@ -11,56 +16,93 @@ import {
   hideElement,
   createTranscriptionItem,
   createTabListItem,
+  updateTabListItem,
+  findTabListItem,
+  createMeetingNotesCard,
   scrollToBottom,
   getCurrentSelections,
-  clearElement,
+  deselectTabs,
   appendChild,
 } from './utils/dom-utils.js';
-import {
-  getSupportedMimeType,
-  blobToBase64,
-  captureTabAudio,
-  captureMicrophoneAudio,
-  stopStream,
-  isStreamActive,
-  setupAudioPlayback,
-  closeAudioContext,
-  closeAllAudioContexts,
-} from './utils/audio-utils.js';
+import { captureMicrophoneAudio, stopStream, isStreamActive } from './utils/audio-utils.js';
 import {
   resetState,
   isRecording,
   startRecording as setRecordingState,
   stopRecording as setRecordingStop,
-  addSession,
-  removeSession,
-  getSession,
-  getAllSessionIds,
   addTranscript,
   getTranscripts,
   clearTranscripts,
-  addToPendingQueue,
-  getPendingQueueItems,
-  hasPendingItems,
+  replaceTranscripts,
+  setCurrentHistoryId,
+  getCurrentHistoryId,
+  setRecordingStartedAt,
+  getRecordingStartedAt,
   startTimer,
   stopTimer,
-  startTabDetection,
-  stopTabDetection,
   initializeStatusManager,
   setStatus,
   getCurrentStatus,
+  getSpeakerNames,
+  setSpeakerName,
+  replaceSpeakerNames,
 } from './modules/state-manager.js';
-import { getCurrentApiConfiguration } from './modules/storage-manager.js';
+import {
+  getCurrentApiConfiguration,
+  getStreamingEnabled,
+  getStreamingEndpoint,
+  getSkipSilentSegments,
+  getMixAudioSources,
+  getShowCaptions,
+  getFallbackProviderChain,
+  isProviderConfigured,
+  getTabDomainRules,
+  getIdentifySpeakers,
+  getTranscriptionLanguage,
+  getTranslationLanguage,
+  getActiveGlossary,
+  getRedactionSettings,
+  getRedactionHashSalt,
+} from './modules/storage-manager.js';
 import {
   setTranscriptionProvider,
-  transcribeWithCurrentProvider,
-  summaryWithCurrentProvider,
+  summarizeTranscripts,
+  generateMeetingNotes,
+  getCurrentProvider,
 } from './modules/transcription-service.js';
+import { isStreamingSupported } from './modules/streaming-service.js';
+import {
+  sendRecordingCommand,
+  getRecordingState as getRecorderState,
+  onRecordingEvent,
+} from './modules/recording-client.js';
+import { buildSubtitleCues, formatSrt, formatVtt } from './utils/subtitle-utils.js';
+import { formatMeetingNotesMarkdown } from './utils/meeting-notes-utils.js';
+import { formatSpeakerText } from './utils/transcript-utils.js';
 import { initializeSettings } from './modules/settings-controller.js';
+import {
+  startTabRegistry,
+  stopTabRegistry,
+  syncTabRegistry,
+  refreshRegisteredTab,
+} from './modules/tab-registry.js';
+import { initializeHistory } from './modules/history-controller.js';
+import { initializePendingQueue, renderPendingQueue } from './modules/pending-queue-controller.js';
+import {
+  appendHistoryTranscript,
+  appendHistoryMeetingNotes,
+  getHistorySession,
+  renameHistorySpeaker,
+} from './modules/history-store.js';
 
+// Recording itself runs in the offscreen document (see recording-engine.js); this page is a view
 let appState = {
   isInitialized: false,
-  audioPlaybackSessions: new Map(),
+  transcriptView: UI_CONSTANTS.TRANSCRIPT_VIEWS.BOTH,
+  interimItems: new Map(),
+  // Tabs the recorder is capturing, used to restore checkboxes after reopening
+  recordingTabIds: new Set(),
+  unsubscribeRecordingEvents: null,
 };
 
 export const initializeApp = async () => {
@@ -76,15 +118,32 @@ export const initializeApp = async () => {
       setStatus: (message, type) => setStatus(message, type),
     });
 
+    await initializeHistory({
+      statusManager: { setStatus: (message, type) => setStatus(message, type) },
+      onOpenSession: record => openHistorySession(record),
+      onDeleteSession: historyId => {
+        if (getCurrentHistoryId() === historyId) {
+          setCurrentHistoryId(null);
+        }
+      },
+    });
+
     bindEventListeners();
+    appState.unsubscribeRecordingEvents = onRecordingEvent(handleRecordingEvent);
 
     // Start tab detection
-    startTabAutoDetection();
+    await startTabAutoDetection();
 
     // Set initial UI state
     setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+    await reattachToRecorder();
     updateButtonVisibility();
 
+    await initializePendingQueue({
+      statusManager: { setStatus: (message, type) => setStatus(message, type) },
+      getRecorderConfig: () => getQueueRecorderConfig(),
+    });
+
     appState.isInitialized = true;
     console.log('Audio Transcriber App initialized successfully');
   } catch (error) {
@@ -106,15 +165,46 @@ const bindEventListeners = () => {
     handleTabSelectionChange(event);
   });
 
+  // Files dropped on or chosen from the drop zone
+  elements.fileInput?.addEventListener('change', event => {
+    transcribeFile(event.target.files[0]);
+    event.target.value = '';
+  });
+  elements.fileDropZone?.addEventListener('dragover', event => {
+    event.preventDefault();
+    addClass(elements.fileDropZone, 'drag-over');
+  });
+  elements.fileDropZone?.addEventListener('dragleave', () => {
+    removeClass(elements.fileDropZone, 'drag-over');
+  });
+  elements.fileDropZone?.addEventListener('drop', event => {
+    event.preventDefault();
+    removeClass(elements.fileDropZone, 'drag-over');
+    transcribeFile(event.dataTransfer.files[0]);
+  });
+
+  // Microphone toggled during recording
+  elements.microphoneCheckbox?.addEventListener('change', event => {
+    handleMicrophoneToggle(event);
+  });
+
   // Export controls
   elements.summaryButton?.addEventListener('click', () => {
     handleSummaryTranscription();
   });
 
+  elements.meetingNotesButton?.addEventListener('click', () => {
+    handleMeetingNotes();
+  });
+
   elements.copyButton?.addEventListener('click', () => {
     handleCopyTranscription();
   });
 
+  elements.transcriptViewSelect?.addEventListener('change', event => {
+    applyTranscriptView(event.target.value);
+  });
+
   elements.downloadTextButton?.addEventListener('click', () => {
     handleDownloadTranscription();
   });
@@ -123,9 +213,19 @@ const bindEventListeners = () => {
     handleClearTranscription();
   });
 
-  // Network state changes
-  window.addEventListener('online', () => {
-    handleNetworkReconnection();
+  // Speaker names in diarized transcripts, and lines linked to a video
+  elements.transcriptionDisplay?.addEventListener('click', event => {
+    const speaker = event.target.closest(`.${UI_CONSTANTS.CSS_CLASSES.SPEAKER}`);
+    if (speaker) {
+      handleRenameSpeaker(speaker.dataset.speaker);
+      return;
+    }
+
+    // Selecting text to copy shouldn't jump the video
+    const seekable = event.target.closest(`.${UI_CONSTANTS.CSS_CLASSES.SEEKABLE}`);
+    if (seekable && !window.getSelection().toString()) {
+      handleSeekMedia(seekable.dataset);
+    }
   });
 
   // Settings events
@@ -137,7 +237,7 @@ const bindEventListeners = () => {
     handleSettingsReset();
   });
 
-  // Cleanup on page unload
+  // Recording keeps running in the offscreen document; only release this page's resources
   window.addEventListener('beforeunload', () => {
     cleanup();
   });
@@ -156,315 +256,378 @@ const handleToggleRecording = async () => {
   }
 };
 
+// Returns null, with an error status, when the selected provider isn't set up yet
+const getConfiguredApiConfiguration = async () => {
+  const config = await getCurrentApiConfiguration();
+  if (!isProviderConfigured(config.provider, config.apiKey, config.endpointSettings)) {
+    const message = config.providerConfig?.settingsKeyName
+      ? 'Please configure the custom endpoint in settings first'
+      : 'Please configure API key in settings first';
+    setStatus(message, 'error');
+    return null;
+  }
+  return config;
+};
+
+// What the recorder needs to call the provider; it has no storage access of its own
+const buildRecorderConfig = async config => ({
+  provider: config.provider,
+  apiKey: config.apiKey,
+  endpointSettings: config.endpointSettings,
+  fallbackProviders: await getFallbackProviderChain(config.provider),
+  identifySpeakers: await getIdentifySpeakers(),
+  language: await getTranscriptionLanguage(),
+  translateTo: await getTranslationLanguage(),
+  glossary: await getActiveGlossary(),
+  redaction: { ...(await getRedactionSettings()), hashSalt: await getRedactionHashSalt() },
+});
+
+// Queue retries are background work, so a missing key isn't reported as an error here
+const getQueueRecorderConfig = async () => {
+  const config = await getCurrentApiConfiguration();
+  if (!isProviderConfigured(config.provider, config.apiKey, config.endpointSettings)) {
+    return null;
+  }
+  return await buildRecorderConfig(config);
+};
+
 const startNewRecording = async () => {
   try {
     const elements = getDOMElements();
 
     // Check API configuration
-    const config = await getCurrentApiConfiguration();
-    if (!config.apiKey?.trim()) {
-      setStatus('Please configure API key in settings first', 'error');
-      return;
-    }
+    const config = await getConfiguredApiConfiguration();
+    if (!config) return;
 
-    // Set transcription provider
-    setTranscriptionProvider(config.provider);
-
-    // Determine what to record
+    // Determine what to record; microphone and tabs can run together
     const useMicrophone = elements.microphoneCheckbox?.checked;
-    const selectedTabs = useMicrophone ? [] : getCurrentSelections();
+    const selectedTabs = getCurrentSelections();
 
     if (!useMicrophone && selectedTabs.size === 0) {
       setStatus('Please select audio source(s) to record', 'error');
       return;
     }
 
-    // Start recording state
-    setRecordingState();
-    setRecordingUIState(true);
-    startRecordingTimer();
     setStatus(UI_CONSTANTS.STATUS_MESSAGES.REQUESTING_AUDIO, 'processing');
-
-    // Start recording sessions
     if (useMicrophone) {
-      await startMicrophoneSession();
-    } else {
-      for (const tabId of selectedTabs) {
-        await startTabSession(tabId);
-      }
+      await ensureMicrophonePermission();
     }
 
-    setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
+    // The offscreen recorder has no storage access, so it gets everything up front
+    const state = await sendRecordingCommand(MESSAGE_TYPES.START_RECORDING, {
+      config: {
+        ...(await buildRecorderConfig(config)),
+        streaming: await resolveStreamingConfig(config),
+        skipSilentSegments: await getSkipSilentSegments(),
+        mixSources: await getMixAudioSources(),
+        showCaptions: await getShowCaptions(),
+      },
+      useMicrophone,
+      tabIds: Array.from(selectedTabs),
+    });
+
+    setTranscriptionProvider(config.provider);
+    applyRecordingState(state);
+    reportTabErrors(state.tabErrors);
   } catch (error) {
     console.error('Failed to start recording:', error);
-    await stopAllRecording();
+    applyRecordingState({ isRecording: false });
     setStatus(`Failed to start recording: ${error.message}`, 'error');
   }
 };
 
-const startTabSession = async tabId => {
-  try {
-    const stream = await captureTabAudio(tabId);
-    const tabInfo = await chrome.tabs.get(tabId);
-    const label = `Tab: ${tabInfo.title || tabInfo.url}`;
+const isMediaFile = file => {
+  return FILE_TRANSCRIPTION_CONFIG.ACCEPTED_TYPE_PREFIXES.some(prefix =>
+    file.type.startsWith(prefix)
+  );
+};
 
-    await initializeAudioSession(`tab-${tabId}`, stream, label);
-  } catch (error) {
-    console.error(`Failed to start tab session ${tabId}:`, error);
-    throw error;
+const transcribeFile = async file => {
+  if (!file) return;
+  if (!isMediaFile(file)) {
+    setStatus('Please choose an audio or video file', 'error');
+    return;
+  }
+  if (isRecording()) {
+    setStatus('Stop recording before transcribing a file', 'error');
+    return;
   }
-};
 
-const startMicrophoneSession = async () => {
+  const config = await getConfiguredApiConfiguration();
+  if (!config) return;
+
+  // The recorder reads the file through this URL before it replies
+  const url = URL.createObjectURL(file);
   try {
-    const stream = await captureMicrophoneAudio();
-    await initializeAudioSession('microphone', stream, 'Microphone', false);
+    setStatus(`Decoding ${file.name}…`, 'processing');
+    const state = await sendRecordingCommand(MESSAGE_TYPES.TRANSCRIBE_FILE, {
+      config: await buildRecorderConfig(config),
+      file: { url, name: file.name },
+    });
+
+    setTranscriptionProvider(config.provider);
+    applyRecordingState(state);
   } catch (error) {
-    console.error('Failed to start microphone session:', error);
-    throw error;
+    console.error('Failed to transcribe file:', error);
+    setStatus(`File transcription failed: ${error.message}`, 'error');
+  } finally {
+    URL.revokeObjectURL(url);
   }
 };
 
-const initializeAudioSession = async (sessionId, stream, label, enablePlayback = true) => {
-  const mimeType = getSupportedMimeType(stream);
-  const activeRecorders = new Set();
+const renderFileProgress = fileJob => {
+  const elements = getDOMElements();
+  if (!elements.fileDropZone) return;
 
-  // Set up audio playback if enabled
-  let audioPlayback = null;
-  if (enablePlayback) {
-    audioPlayback = setupAudioPlayback(sessionId, stream, true);
-    appState.audioPlaybackSessions.set(sessionId, audioPlayback);
+  elements.fileDropZone.classList.toggle('busy', Boolean(fileJob));
+  if (elements.fileInput) {
+    elements.fileInput.disabled = Boolean(fileJob);
   }
+  if (elements.fileProgress) {
+    elements.fileProgress.hidden = !fileJob;
+    elements.fileProgress.max = fileJob?.total || 1;
+    elements.fileProgress.value = fileJob?.completed || 0;
+  }
+  setText(
+    elements.fileDropLabel,
+    fileJob
+      ? `${fileJob.name}: ${fileJob.completed} of ${fileJob.total} segments`
+      : 'Drop an audio or video file here, or click to choose one'
+  );
+};
 
-  // Create session data
-  const sessionData = {
-    label,
-    stream,
-    mimeType,
-    activeRecorders,
-    tickTimer: null,
-    audioPlayback,
-  };
+// File transcripts show their position in the file instead of the wall clock
+const formatTranscriptTime = transcript => {
+  if (transcript.offsetMs !== undefined) {
+    return new Date(transcript.offsetMs).toISOString().substring(11, 19);
+  }
+  return new Date(transcript.timestamp).toLocaleTimeString();
+};
 
-  // Store session
-  addSession(sessionId, sessionData);
+// Some tabs can fail (closed, protected pages) while the rest keep recording
+const reportTabErrors = (tabErrors = []) => {
+  if (tabErrors.length === 0) return;
 
-  // Start recording segments
-  startRecordingSegment(sessionId);
-  sessionData.tickTimer = setInterval(() => {
-    startRecordingSegment(sessionId);
-  }, AUDIO_CONFIG.STEP_MS);
+  const failedTabIds = tabErrors.map(({ tabId }) => tabId);
+  deselectTabs(failedTabIds);
+  failedTabIds.forEach(refreshRegisteredTab);
+  const details = tabErrors.map(({ label, error }) => `${label} (${error})`).join(', ');
+  setStatus(`Recording, but could not capture: ${details}`, 'error');
+};
 
-  // Add session start notification
-  addTranscriptionToUI(new Date().toLocaleTimeString(), `${label} started`, '');
+// The offscreen document can't show a permission prompt, so ask from the side panel first
+const ensureMicrophonePermission = async () => {
+  const stream = await captureMicrophoneAudio();
+  stopStream(stream);
 };
 
-const startRecordingSegment = sessionId => {
-  const session = getSession(sessionId);
-  if (!session) return;
+// Keep a transcript in memory and in the current history record
+const saveTranscript = async (transcript, historyId = getCurrentHistoryId()) => {
+  addTranscript(transcript);
 
-  let recorder;
+  if (!historyId) return;
   try {
-    recorder = new MediaRecorder(session.stream, { mimeType: session.mimeType });
+    await appendHistoryTranscript(historyId, transcript);
   } catch (error) {
-    console.warn('Failed to create MediaRecorder with MIME type, using default:', error);
-    recorder = new MediaRecorder(session.stream);
+    console.warn('Failed to save transcript to history:', error);
   }
+};
 
-  const audioChunks = [];
+const resolveStreamingConfig = async config => {
+  if (!isStreamingSupported(config.provider) || !(await getStreamingEnabled())) {
+    return null;
+  }
 
-  // Collect audio data
-  recorder.ondataavailable = event => {
-    if (event.data && event.data.size > 0) {
-      audioChunks.push(event.data);
-    }
+  return {
+    provider: config.provider,
+    endpoint: await getStreamingEndpoint(config.provider),
+    apiKey: config.apiKey,
   };
+};
 
-  // Process completed segment
-  recorder.onstop = async () => {
-    session.activeRecorders.delete(recorder);
-
-    if (audioChunks.length === 0) return;
+const stopAllRecording = async () => {
+  try {
+    const state = await sendRecordingCommand(MESSAGE_TYPES.STOP_RECORDING);
+    applyRecordingState(state || { isRecording: false });
+  } catch (error) {
+    console.error('Failed to stop recording:', error);
+    applyRecordingState({ isRecording: false });
+    setStatus(`Failed to stop recording: ${error.message}`, 'error');
+  }
+};
 
-    try {
-      // Create blob and convert to base64
-      const audioBlob = new Blob(audioChunks, { type: session.mimeType });
-      const base64Data = await blobToBase64(audioBlob);
+const handleTabSelectionChange = async event => {
+  // A deselected tab that went silent no longer needs a place in the list
+  if (!event.target.checked) {
+    refreshRegisteredTab(parseInt(event.target.value, 10));
+  }
+  if (!isRecording()) return;
 
-      // Prepare transcription data
-      const transcriptionData = {
-        sessionId,
-        base64: base64Data,
-        mimeType: session.mimeType,
-        timestamp: new Date().toISOString(),
-        label: session.label,
-        apiKey: (await getCurrentApiConfiguration()).apiKey,
-      };
+  try {
+    const checkbox = event.target;
+    const tabId = parseInt(checkbox.value, 10);
 
-      // Perform transcription
-      await processTranscription(transcriptionData);
-    } catch (error) {
-      console.error('Failed to process audio segment:', error);
-      setStatus('Transcription processing failed', 'error');
+    if (checkbox.checked) {
+      await sendRecordingCommand(MESSAGE_TYPES.ADD_TAB, { tabId });
+    } else {
+      await sendRecordingCommand(MESSAGE_TYPES.REMOVE_TAB, { tabId });
     }
-  };
-
-  // Start recording
-  session.activeRecorders.add(recorder);
-  recorder.start(AUDIO_CONFIG.CHUNK_MS);
-
-  // Schedule stop
-  setTimeout(() => {
-    try {
-      if (recorder.state !== 'inactive') {
-        recorder.stop();
-      }
-    } catch (error) {
-      console.warn('Failed to stop recorder:', error);
+  } catch (error) {
+    console.error('Failed to handle tab selection change:', error);
+    if (event.target.checked) {
+      event.target.checked = false;
     }
-  }, AUDIO_CONFIG.DURATION_MS);
+    setStatus(`Failed to update tab recording: ${error.message}`, 'error');
+  }
 };
 
-const processTranscription = async data => {
-  try {
-    const result = await transcribeWithCurrentProvider({
-      base64: data.base64,
-      mimeType: data.mimeType,
-      apiKey: data.apiKey,
-    });
-
-    if (result.success) {
-      // Add successful transcription
-      const transcript = {
-        timestamp: data.timestamp,
-        text: result.text,
-        sessionId: data.sessionId,
-        label: data.label,
-      };
-
-      addTranscript(transcript);
-      addTranscriptionToUI(new Date(data.timestamp).toLocaleTimeString(), data.label, result.text);
+const handleMicrophoneToggle = async event => {
+  if (!isRecording()) return;
 
-      setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
-    } else if (result.isFatal) {
-      // Fatal error - show to user
-      setStatus(`Transcription error: ${result.error}`, 'error');
-    } else {
-      // Temporary error - queue for retry
-      addToPendingQueue(data);
-      setStatus('Queued segment (offline or error)', 'processing');
+  try {
+    const useMicrophone = event.target.checked;
+    if (useMicrophone) {
+      await ensureMicrophonePermission();
     }
+    await sendRecordingCommand(MESSAGE_TYPES.SET_MICROPHONE, { enabled: useMicrophone });
   } catch (error) {
-    console.error('Transcription failed:', error);
-    setStatus(`Transcription failed: ${error.message}`, 'error');
+    console.error('Failed to handle microphone toggle:', error);
+    setStatus(`Failed to update microphone recording: ${error.message}`, 'error');
   }
 };
 
-const stopAllRecording = async () => {
-  setRecordingStop();
-
-  // Stop all sessions
-  const sessionIds = getAllSessionIds();
-  for (const sessionId of sessionIds) {
-    await stopSession(sessionId);
+// Mirror the recorder's run metadata and drive the recording controls from it
+const applyRecordingState = state => {
+  if (state.startedAt !== undefined) {
+    setRecordingStartedAt(state.startedAt);
+  }
+  if (state.historyId !== undefined && state.historyId !== getCurrentHistoryId()) {
+    setCurrentHistoryId(state.historyId);
+    loadSpeakerNames(state.historyId);
+  }
+  if (state.fileJob !== undefined) {
+    renderFileProgress(state.fileJob);
+  }
+  if (state.pendingSegments !== undefined) {
+    renderPendingQueue(state.pendingSegments);
   }
 
-  // Reset UI state
-  setRecordingUIState(false);
-  stopRecordingTimer();
-  setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+  if (state.isRecording === isRecording()) return;
+
+  if (state.isRecording) {
+    setRecordingState();
+    setRecordingUIState(true);
+    const elapsedMs = state.startedAt ? Date.now() - new Date(state.startedAt).getTime() : 0;
+    startRecordingTimer(Math.max(0, Math.floor(elapsedMs / 1000)));
+  } else {
+    setRecordingStop();
+    setRecordingUIState(false);
+    stopRecordingTimer();
+  }
 };
 
-const stopSession = async sessionId => {
-  const session = getSession(sessionId);
-  if (!session) return;
+const handleRecordingEvent = (event, message) => {
+  if (event === RECORDING_EVENTS.STATE) {
+    applyRecordingState(message.state);
+  } else if (event === RECORDING_EVENTS.STATUS) {
+    setStatus(message.message, message.type);
+  } else if (event === RECORDING_EVENTS.TRANSCRIPT) {
+    const { transcript } = message;
+    addTranscript(transcript);
+    clearInterimTranscription(transcript.sessionId);
+    renderTranscript(transcript);
+  } else if (event === RECORDING_EVENTS.NOTICE) {
+    addTranscriptionToUI(new Date(message.timestamp).toLocaleTimeString(), message.label, '');
+  } else if (event === RECORDING_EVENTS.INTERIM) {
+    updateInterimTranscription(message.sessionId, message.label, message.text);
+  } else if (event === RECORDING_EVENTS.FILE_PROGRESS) {
+    renderFileProgress(message.fileJob);
+  } else if (event === RECORDING_EVENTS.QUEUE) {
+    renderPendingQueue(message.pendingSegments);
+  } else if (event === RECORDING_EVENTS.SEGMENT_IN_FLIGHT) {
+    addSegmentPlaceholder(message.segment);
+  } else if (event === RECORDING_EVENTS.SEGMENT_SETTLED) {
+    removeSegmentPlaceholder(message.sequence);
+  }
+};
 
-  try {
-    // Stop recurring segment creation
-    if (session.tickTimer) {
-      clearInterval(session.tickTimer);
-    }
+// A reopened side panel picks up the recorder's current run where it left off
+const reattachToRecorder = async () => {
+  const state = await getRecorderState();
+  if (!state || (!state.isRecording && !state.fileJob && state.transcripts.length === 0)) return;
 
-    // Stop all active recorders
-    for (const recorder of Array.from(session.activeRecorders)) {
-      try {
-        if (recorder.state !== 'inactive') {
-          recorder.stop();
-        }
-      } catch (error) {
-        console.warn('Failed to stop recorder:', error);
-      }
-    }
+  replaceTranscripts(state.transcripts);
+  state.transcripts.forEach(renderTranscript);
+  state.inFlightSegments.forEach(segment => addSegmentPlaceholder(segment));
 
-    // Stop audio stream
-    stopStream(session.stream);
+  if (state.provider) {
+    setTranscriptionProvider(state.provider);
+  }
+  applyRecordingState(state);
+  setStatus(state.status.message, state.status.type);
 
-    // Close audio context
-    if (session.audioPlayback) {
-      await closeAudioContext(sessionId);
-      appState.audioPlaybackSessions.delete(sessionId);
+  if (state.isRecording) {
+    const elements = getDOMElements();
+    if (elements.microphoneCheckbox) {
+      elements.microphoneCheckbox.checked = state.sources.microphone;
     }
-  } catch (error) {
-    console.warn(`Failed to properly stop session ${sessionId}:`, error);
+    await restoreRecordingTabs(state.sources.tabIds);
   }
-
-  // Remove session from state
-  removeSession(sessionId);
-
-  // Add stop notification
-  addTranscriptionToUI(new Date().toLocaleTimeString(), `${sessionId} stopped`, '');
 };
 
-const handleTabSelectionChange = async event => {
-  if (!isRecording()) return;
-
+const startTabAutoDetection = async () => {
   try {
-    const checkbox = event.target;
-    const tabId = parseInt(checkbox.value, 10);
-
-    if (checkbox.checked) {
-      // Start recording for newly selected tab
-      await startTabSession(tabId);
-    } else {
-      // Stop recording for deselected tab
-      await stopSession(`tab-${tabId}`);
-    }
+    await startTabRegistry({
+      domainRules: await getTabDomainRules(),
+      isPinned: tabId => appState.recordingTabIds.has(tabId) || getCurrentSelections().has(tabId),
+      onTabChanged: renderTabListItem,
+      onTabRemoved: removeTabListItem,
+    });
   } catch (error) {
-    console.error('Failed to handle tab selection change:', error);
-    setStatus(`Failed to update tab recording: ${error.message}`, 'error');
+    console.error('Failed to start tab detection:', error);
   }
 };
 
-const startTabAutoDetection = () => {
-  startTabDetection(updateTabsList, AUDIO_CONFIG.TAB_DETECTION_INTERVAL_MS);
+// Restore checkboxes for tabs the recorder is already capturing
+const restoreRecordingTabs = async tabIds => {
+  appState.recordingTabIds = new Set(tabIds);
+  try {
+    await syncTabRegistry();
+  } catch (error) {
+    console.error('Failed to update tabs list:', error);
+  }
+  tabIds.forEach(tabId => {
+    const checkbox = findTabListItem(tabId)?.querySelector('input[type="checkbox"]');
+    if (checkbox) checkbox.checked = true;
+  });
+
+  // Restored selections now live in the checkboxes
+  appState.recordingTabIds.clear();
 };
 
-const updateTabsList = async () => {
+const renderTabListItem = tab => {
   const elements = getDOMElements();
   if (!elements.tabsList) return;
 
-  try {
-    const currentSelections = getCurrentSelections();
-    const tabs = await chrome.tabs.query({});
-    const audioTabs = tabs.filter(tab => tab.audible || tab.url?.includes('youtube.com'));
+  const existingItem = findTabListItem(tab.id);
+  if (existingItem) {
+    updateTabListItem(existingItem, tab);
+    return;
+  }
 
-    clearElement(elements.tabsList);
+  elements.tabsList.querySelector('.placeholder')?.remove();
+  appendChild(elements.tabsList, createTabListItem(tab, appState.recordingTabIds.has(tab.id)));
+};
 
-    if (audioTabs.length === 0) {
-      const placeholder = document.createElement('div');
-      placeholder.className = 'placeholder';
-      placeholder.textContent = 'Play a YouTube video to detect audio automatically';
-      appendChild(elements.tabsList, placeholder);
-      return;
-    }
+const removeTabListItem = tabId => {
+  const elements = getDOMElements();
+  findTabListItem(tabId)?.remove();
 
-    audioTabs.forEach(tab => {
-      const isSelected = currentSelections.has(tab.id);
-      const tabItem = createTabListItem(tab, isSelected);
-      appendChild(elements.tabsList, tabItem);
-    });
-  } catch (error) {
-    console.error('Failed to update tabs list:', error);
+  if (elements.tabsList && !elements.tabsList.querySelector('.tab-item')) {
+    const placeholder = document.createElement('div');
+    placeholder.className = 'placeholder';
+    placeholder.textContent = 'Play audio in a tab to detect it automatically';
+    appendChild(elements.tabsList, placeholder);
   }
 };
 
@@ -484,8 +647,10 @@ const updateButtonVisibility = () => {
   const elements = getDOMElements();
   if (!elements.transcriptionDisplay || !elements.transcriptionControls) return;
 
-  // Check if there are any transcription items (not just placeholder or loading)
-  const transcriptionItems = elements.transcriptionDisplay.querySelectorAll('.transcription-item');
+  // Check if there are any transcription items (not just placeholders or loading)
+  const transcriptionItems = elements.transcriptionDisplay.querySelectorAll(
+    `.transcription-item:not(.${UI_CONSTANTS.CSS_CLASSES.IN_FLIGHT})`
+  );
   const hasRealContent = transcriptionItems.length > 0;
 
   if (hasRealContent) {
@@ -493,13 +658,29 @@ const updateButtonVisibility = () => {
   } else {
     removeClass(elements.transcriptionControls, UI_CONSTANTS.CSS_CLASSES.HAS_CONTENT);
   }
+
+  // The view picker only matters once something has been translated
+  if (elements.transcriptViewSelect) {
+    elements.transcriptViewSelect.hidden = !elements.transcriptionDisplay.querySelector(
+      `.${UI_CONSTANTS.CSS_CLASSES.TRANSLATED}`
+    );
+  }
 };
 
-const startRecordingTimer = () => {
+// Exports follow appState.transcriptView through getViewTranscripts, so they match the display
+const applyTranscriptView = view => {
+  const display = getDOMElements().transcriptionDisplay;
+  appState.transcriptView = view;
+  Object.values(UI_CONSTANTS.TRANSCRIPT_VIEWS).forEach(candidate => {
+    display?.classList.toggle(`view-${candidate}`, candidate === view);
+  });
+};
+
+const startRecordingTimer = (initialSeconds = 0) => {
   const elements = getDOMElements();
   startTimer(formattedTime => {
     setText(elements.timerDisplay, formattedTime);
-  });
+  }, initialSeconds);
 };
 
 const stopRecordingTimer = () => {
@@ -508,7 +689,50 @@ const stopRecordingTimer = () => {
   setText(elements.timerDisplay, '00:00:00');
 };
 
-const addTranscriptionToUI = (timestamp, channelLabel, text) => {
+// Items with a capture sequence stay in capture order and replace their placeholder row
+const insertTranscriptionItem = (item, sequence) => {
+  const display = getDOMElements().transcriptionDisplay;
+  if (sequence === undefined) {
+    appendChild(display, item);
+    return true;
+  }
+
+  item.dataset.sequence = sequence;
+  const placeholder = display.querySelector(`[data-sequence="${sequence}"]`);
+  if (placeholder) {
+    placeholder.replaceWith(item);
+    return false;
+  }
+
+  const laterItem = Array.from(display.querySelectorAll('[data-sequence]')).find(
+    existing => Number(existing.dataset.sequence) > sequence
+  );
+  if (laterItem) {
+    display.insertBefore(item, laterItem);
+    return false;
+  }
+
+  appendChild(display, item);
+  return true;
+};
+
+const renderTranscript = transcript => {
+  addTranscriptionToUI(formatTranscriptTime(transcript), transcript.label, transcript.text, {
+    sequence: transcript.sequence,
+    utterances: transcript.utterances,
+    words: transcript.words,
+    language: transcript.language,
+    media: transcript.media,
+    translation: transcript.translation,
+  });
+};
+
+const addTranscriptionToUI = (
+  timestamp,
+  channelLabel,
+  text,
+  { sequence, utterances, words, language, media, translation } = {}
+) => {
   const elements = getDOMElements();
   if (!elements.transcriptionDisplay) return;
 
@@ -525,43 +749,192 @@ const addTranscriptionToUI = (timestamp, channelLabel, text) => {
     hideElement(elements.loadingAnimation);
   }
 
-  // Create and add transcription item
-  const item = createTranscriptionItem(timestamp, channelLabel, text);
+  // Create and add transcription item; only follow the bottom when that's where it went
+  const item = createTranscriptionItem(timestamp, channelLabel, text, {
+    utterances,
+    words,
+    language,
+    media,
+    translation,
+    speakerNames: getSpeakerNames(),
+  });
+  if (insertTranscriptionItem(item, sequence)) {
+    scrollToBottom(elements.transcriptionDisplay);
+  }
+  updateButtonVisibility();
+};
+
+const addSegmentPlaceholder = segment => {
+  const elements = getDOMElements();
+  if (!elements.transcriptionDisplay) return;
+
+  elements.transcriptionDisplay.querySelector('.placeholder')?.remove();
+  hideElement(elements.loadingAnimation);
+
+  const item = createTranscriptionItem(
+    formatTranscriptTime(segment),
+    segment.label,
+    'Transcribing…'
+  );
+  addClass(item, UI_CONSTANTS.CSS_CLASSES.IN_FLIGHT);
+  if (insertTranscriptionItem(item, segment.sequence)) {
+    scrollToBottom(elements.transcriptionDisplay);
+  }
+};
+
+const removeSegmentPlaceholder = sequence => {
+  getDOMElements()
+    .transcriptionDisplay?.querySelector(
+      `.${UI_CONSTANTS.CSS_CLASSES.IN_FLIGHT}[data-sequence="${sequence}"]`
+    )
+    ?.remove();
+};
+
+const updateInterimTranscription = (sessionId, channelLabel, text) => {
+  const elements = getDOMElements();
+  if (!elements.transcriptionDisplay) return;
+
+  clearInterimTranscription(sessionId);
+  if (!text) return;
+
+  elements.transcriptionDisplay.querySelector('.placeholder')?.remove();
+  hideElement(elements.loadingAnimation);
+
+  const item = createTranscriptionItem(new Date().toLocaleTimeString(), channelLabel, text);
+  addClass(item, UI_CONSTANTS.CSS_CLASSES.INTERIM);
+  appState.interimItems.set(sessionId, item);
   appendChild(elements.transcriptionDisplay, item);
 
-  // Auto-scroll to bottom
   scrollToBottom(elements.transcriptionDisplay);
-  updateButtonVisibility();
+};
+
+const clearInterimTranscription = sessionId => {
+  const item = appState.interimItems.get(sessionId);
+  if (item) {
+    item.remove();
+    appState.interimItems.delete(sessionId);
+  }
+};
+
+// Speaker names are saved with the session's history record, like its transcripts
+const loadSpeakerNames = async historyId => {
+  replaceSpeakerNames({});
+  if (!historyId) return;
+
+  try {
+    const record = await getHistorySession(historyId);
+    replaceSpeakerNames(record?.speakerNames || {});
+    refreshSpeakerLabels();
+  } catch (error) {
+    console.warn('Failed to load speaker names:', error);
+  }
+};
+
+const refreshSpeakerLabels = () => {
+  const speakerNames = getSpeakerNames();
+  getDOMElements()
+    .transcriptionDisplay?.querySelectorAll(`.${UI_CONSTANTS.CSS_CLASSES.SPEAKER}`)
+    .forEach(element => {
+      setText(element, speakerNames[element.dataset.speaker] || element.dataset.speaker);
+    });
+};
+
+// Renames the speaker in every transcript of the session; an empty name restores the label
+const handleRenameSpeaker = async speaker => {
+  const currentName = getSpeakerNames()[speaker] || speaker;
+  const name = prompt(`Rename ${currentName}`, currentName);
+  if (name === null) return;
+
+  const trimmed = name.trim() === speaker ? '' : name.trim();
+  setSpeakerName(speaker, trimmed);
+  refreshSpeakerLabels();
+
+  const historyId = getCurrentHistoryId();
+  if (!historyId) return;
+  try {
+    await renameHistorySpeaker(historyId, speaker, trimmed);
+  } catch (error) {
+    console.warn('Failed to save speaker name:', error);
+  }
+};
+
+const handleSeekMedia = async ({ mediaTabId, mediaTime, mediaUrl }) => {
+  try {
+    await sendRecordingCommand(MESSAGE_TYPES.SEEK_MEDIA, {
+      tabId: Number(mediaTabId),
+      time: Number(mediaTime),
+      url: mediaUrl,
+    });
+  } catch (error) {
+    console.warn('Failed to seek video:', error);
+    setStatus(`Could not seek the video: ${error.message}`, 'error');
+  }
+};
+
+// Subtitles follow the transcript view like the text export does
+const getViewTranscripts = () => {
+  const { ORIGINAL, TRANSLATION } = UI_CONSTANTS.TRANSCRIPT_VIEWS;
+  return getNamedTranscripts().map(transcript => {
+    const translated = transcript.translation?.text;
+    if (!translated || appState.transcriptView === ORIGINAL) return transcript;
+    return {
+      ...transcript,
+      text:
+        appState.transcriptView === TRANSLATION ? translated : `${transcript.text}\n${translated}`,
+    };
+  });
+};
+
+// Speaker names applied to the text, for summaries and exports
+const getNamedTranscripts = () => {
+  const speakerNames = getSpeakerNames();
+  return getTranscripts().map(transcript => ({
+    ...transcript,
+    text: formatSpeakerText(transcript, speakerNames),
+  }));
 };
 
 const handleSummaryTranscription = async () => {
-  const transcripts = getTranscripts();
+  // Earlier summaries aren't part of what was said
+  const transcripts = getNamedTranscripts().filter(t => t.sessionId !== 'summary');
   if (transcripts.length === 0) {
     setStatus('No transcripts available for summary', 'error');
     return;
   }
 
-  // Simple summary: concatenate all texts
-  const summaryText = transcripts.map(t => t.text).join(' ');
-
   try {
-    const result = await summaryWithCurrentProvider({
-      text: summaryText,
-      apiKey: (await getCurrentApiConfiguration()).apiKey,
-    });
+    const { apiKey, endpointSettings } = await getCurrentApiConfiguration();
+    const result = await summarizeTranscripts(
+      transcripts,
+      { apiKey, endpointSettings },
+      ({ level, completed, total }) => {
+        const stage = level === 1 ? 'Summarizing' : 'Combining summaries';
+        setStatus(
+          total > 1 ? `${stage}: part ${completed + 1} of ${total}…` : `${stage}…`,
+          'processing'
+        );
+      }
+    );
 
     if (result.success) {
       // Add successful transcription
       const transcript = {
-        timestamp: new Date().toLocaleTimeString(),
+        timestamp: new Date().toISOString(),
         text: result.text,
         sessionId: 'summary',
         label: 'Summary',
+        provider: getCurrentProvider(),
       };
 
-      addTranscript(transcript);
+      saveTranscript(transcript);
       addTranscriptionToUI(new Date().toLocaleTimeString(), transcript.label, transcript.text);
-
+      if (isRecording()) {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
+      } else {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+      }
+    } else {
+      setStatus(`Summary failed: ${result.error}`, 'error');
     }
   } catch (error) {
     console.error('Summary failed:', error);
@@ -569,28 +942,127 @@ const handleSummaryTranscription = async () => {
   }
 };
 
-const handleCopyTranscription = () => {
+// Structured notes are shown as their own card rather than a transcript entry
+const handleMeetingNotes = async () => {
+  const transcripts = getNamedTranscripts().filter(t => t.sessionId !== 'summary');
+  if (transcripts.length === 0) {
+    setStatus('No transcripts available for meeting notes', 'error');
+    return;
+  }
+
+  try {
+    const { apiKey, endpointSettings } = await getCurrentApiConfiguration();
+    const result = await generateMeetingNotes(
+      transcripts,
+      { apiKey, endpointSettings },
+      ({ completed, total }) => {
+        setStatus(
+          total > 1
+            ? `Extracting meeting notes: part ${completed + 1} of ${total}…`
+            : 'Extracting meeting notes…',
+          'processing'
+        );
+      }
+    );
+
+    if (!result.success) {
+      setStatus(`Meeting notes failed: ${result.error}`, 'error');
+      return;
+    }
+
+    const entry = { createdAt: new Date().toISOString(), notes: result.notes };
+    addMeetingNotesToUI(entry);
+
+    const historyId = getCurrentHistoryId();
+    if (historyId) {
+      appendHistoryMeetingNotes(historyId, entry).catch(error => {
+        console.warn('Failed to save meeting notes to history:', error);
+      });
+    }
+
+    if (isRecording()) {
+      setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
+    } else {
+      setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+    }
+  } catch (error) {
+    console.error('Meeting notes failed:', error);
+    setStatus(`Meeting notes failed: ${error.message}`, 'error');
+  }
+};
+
+const addMeetingNotesToUI = ({ createdAt, notes }) => {
   const elements = getDOMElements();
-  const text = elements.transcriptionDisplay?.innerText || '';
-  navigator.clipboard.writeText(text).catch(error => {
-    console.warn('Failed to copy to clipboard:', error);
+  if (!elements.transcriptionDisplay) return;
+
+  elements.transcriptionDisplay.querySelector('.placeholder')?.remove();
+
+  const card = createMeetingNotesCard(notes, createdAt);
+  card.querySelector('[data-action="export-notes"]')?.addEventListener('click', () => {
+    downloadFile(
+      formatMeetingNotesMarkdown(notes, createdAt),
+      UI_CONSTANTS.MIME_TYPES.MARKDOWN,
+      `meeting-notes-${new Date(createdAt).toISOString()}.md`
+    );
   });
+
+  appendChild(elements.transcriptionDisplay, card);
+  scrollToBottom(elements.transcriptionDisplay);
 };
 
-const handleDownloadTranscription = () => {
-  const elements = getDOMElements();
-  const text = elements.transcriptionDisplay?.innerText || '';
-  const blob = new Blob([text], { type: UI_CONSTANTS.MIME_TYPES.TEXT_PLAIN });
+const downloadFile = (content, mimeType, filename) => {
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
 
   const downloadLink = document.createElement('a');
   downloadLink.href = url;
-  downloadLink.download = `transcription-${new Date().toISOString()}.txt`;
+  downloadLink.download = filename;
   downloadLink.click();
 
   URL.revokeObjectURL(url);
 };
 
+// Built from the transcripts, so notes cards, placeholders and interim lines stay out;
+// meeting notes are exported on their own as Markdown
+const formatTranscriptsText = () => {
+  return getViewTranscripts()
+    .map(transcript => {
+      const heading = `${formatTranscriptTime(transcript)} ${transcript.label}`;
+      return `${heading}\n${transcript.text}`;
+    })
+    .join('\n\n');
+};
+
+const handleCopyTranscription = () => {
+  const text = formatTranscriptsText();
+  navigator.clipboard.writeText(text).catch(error => {
+    console.warn('Failed to copy to clipboard:', error);
+  });
+};
+
+const handleDownloadTranscription = () => {
+  const elements = getDOMElements();
+  const format = elements.downloadFormatSelect?.value || 'txt';
+
+  let content;
+  let mimeType;
+  if (format === 'srt' || format === 'vtt') {
+    const cues = buildSubtitleCues(getViewTranscripts(), getRecordingStartedAt());
+    if (cues.length === 0) {
+      setStatus('No transcripts available for subtitles', 'error');
+      return;
+    }
+
+    content = format === 'srt' ? formatSrt(cues) : formatVtt(cues);
+    mimeType = format === 'srt' ? UI_CONSTANTS.MIME_TYPES.SRT : UI_CONSTANTS.MIME_TYPES.VTT;
+  } else {
+    content = formatTranscriptsText();
+    mimeType = UI_CONSTANTS.MIME_TYPES.TEXT_PLAIN;
+  }
+
+  downloadFile(content, mimeType, `transcription-${new Date().toISOString()}.${format}`);
+};
+
 const handleClearTranscription = () => {
   const elements = getDOMElements();
   const confirmMessage = 'Are you sure you want to clear all transcription content?';
@@ -602,24 +1074,38 @@ const handleClearTranscription = () => {
     );
     hideElement(elements.loadingAnimation);
     clearTranscripts();
+    sendRecordingCommand(MESSAGE_TYPES.CLEAR_TRANSCRIPTS).catch(error => {
+      console.warn('Failed to clear recorder transcripts:', error);
+    });
     updateButtonVisibility();
     setStatus(UI_CONSTANTS.STATUS_MESSAGES.TRANSCRIPTION_CLEARED, 'idle');
   }
 };
 
-const handleNetworkReconnection = async () => {
-  if (!hasPendingItems()) return;
+// Show a saved recording in place of the current transcript
+const openHistorySession = async record => {
+  if (isRecording()) {
+    setStatus('Stop recording before opening a saved session', 'error');
+    return false;
+  }
 
-  const pendingItems = getPendingQueueItems();
+  const elements = getDOMElements();
+  setHTML(
+    elements.transcriptionDisplay,
+    '<p class="placeholder">Your transcription will appear here…</p>'
+  );
+  hideElement(elements.loadingAnimation);
 
-  for (const item of pendingItems) {
-    try {
-      await processTranscription(item);
-    } catch (error) {
-      console.warn('Failed to retry pending transcription:', error);
-      addToPendingQueue(item); // Re-queue if still failing
-    }
-  }
+  replaceTranscripts(record.transcripts);
+  setCurrentHistoryId(record.id);
+  setRecordingStartedAt(record.startedAt);
+
+  replaceSpeakerNames(record.speakerNames || {});
+  record.transcripts.forEach(renderTranscript);
+  (record.meetingNotes || []).forEach(addMeetingNotesToUI);
+
+  updateButtonVisibility();
+  return true;
 };
 
 const handleSettingsReset = () => {
@@ -631,10 +1117,8 @@ const handleSettingsReset = () => {
 };
 
 const cleanup = () => {
-  stopTabDetection();
-  closeAllAudioContexts();
-
-  appState.audioPlaybackSessions.clear();
+  stopTabRegistry();
+  appState.unsubscribeRecordingEvents?.();
 };
 
 document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,192 @@
+import { UI_CONSTANTS } from '../config/app-config.js';
+import {
+  getDOMElements,
+  addClass,
+  removeClass,
+  clearElement,
+  appendChild,
+  createElement,
+  createHistoryListItem,
+} from '../utils/dom-utils.js';
+import {
+  listHistorySessions,
+  getHistorySession,
+  renameHistorySession,
+  deleteHistorySession,
+} from './history-store.js';
+
+
+let historyState = {
+  isInitialized: false,
+  statusManager: null,
+  onOpenSession: null,
+  onDeleteSession: null,
+};
+
+
+export const initializeHistory = async ({ statusManager, onOpenSession, onDeleteSession }) => {
+  if (historyState.isInitialized) return;
+
+  historyState.statusManager = statusManager;
+  historyState.onOpenSession = onOpenSession;
+  historyState.onDeleteSession = onDeleteSession;
+  bindPanelControls();
+  bindListActions();
+  historyState.isInitialized = true;
+};
+
+
+
+
+const bindPanelControls = () => {
+  const elements = getDOMElements();
+
+  elements.historyButton?.addEventListener('click', () => {
+    if (isHistoryPanelOpen()) {
+      closeHistoryPanel();
+    } else {
+      openHistoryPanel();
+    }
+  });
+
+  elements.closeHistoryButton?.addEventListener('click', () => {
+    closeHistoryPanel();
+  });
+
+  // Close when clicking outside the panel content
+  elements.historyPanel?.addEventListener('click', event => {
+    if (event.target === elements.historyPanel) {
+      closeHistoryPanel();
+    }
+  });
+
+  document.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && isHistoryPanelOpen()) {
+      closeHistoryPanel();
+    }
+  });
+};
+
+
+export const openHistoryPanel = async () => {
+  const elements = getDOMElements();
+  addClass(elements.historyPanel, UI_CONSTANTS.CSS_CLASSES.OPEN);
+  addClass(elements.historyButton, UI_CONSTANTS.CSS_CLASSES.ACTIVE);
+  await refreshHistoryList();
+};
+
+
+export const closeHistoryPanel = () => {
+  const elements = getDOMElements();
+  removeClass(elements.historyPanel, UI_CONSTANTS.CSS_CLASSES.OPEN);
+  removeClass(elements.historyButton, UI_CONSTANTS.CSS_CLASSES.ACTIVE);
+};
+
+
+export const isHistoryPanelOpen = () => {
+  const elements = getDOMElements();
+  return elements.historyPanel?.classList.contains(UI_CONSTANTS.CSS_CLASSES.OPEN) || false;
+};
+
+
+export const refreshHistoryList = async () => {
+  const elements = getDOMElements();
+  if (!elements.historyList) return;
+
+  try {
+    const records = await listHistorySessions();
+    clearElement(elements.historyList);
+
+    if (records.length === 0) {
+      appendChild(
+        elements.historyList,
+        createElement('p', UI_CONSTANTS.CSS_CLASSES.PLACEHOLDER, 'No saved recordings yet')
+      );
+      return;
+    }
+
+    records.forEach(record => {
+      appendChild(elements.historyList, createHistoryListItem(record));
+    });
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    setStatus(`Failed to load history: ${error.message}`, 'error');
+  }
+};
+
+
+
+
+const bindListActions = () => {
+  const elements = getDOMElements();
+
+  elements.historyList?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    const item = event.target.closest('.history-item');
+    if (!button || !item) return;
+
+    handleHistoryAction(button.dataset.action, item.dataset.historyId);
+  });
+};
+
+
+const handleHistoryAction = async (action, historyId) => {
+  try {
+    if (action === 'open') {
+      await handleOpenSession(historyId);
+    } else if (action === 'rename') {
+      await handleRenameSession(historyId);
+    } else if (action === 'delete') {
+      await handleDeleteSession(historyId);
+    }
+  } catch (error) {
+    console.error(`History ${action} failed:`, error);
+    setStatus(`History ${action} failed: ${error.message}`, 'error');
+  }
+};
+
+
+const handleOpenSession = async historyId => {
+  const record = await getHistorySession(historyId);
+  if (!record) {
+    throw new Error('Recording no longer exists');
+  }
+
+  const opened = historyState.onOpenSession ? await historyState.onOpenSession(record) : false;
+  if (opened) {
+    closeHistoryPanel();
+    setStatus(`Opened ${record.title}`, 'idle');
+  }
+};
+
+
+const handleRenameSession = async historyId => {
+  const record = await getHistorySession(historyId);
+  if (!record) return;
+
+  const title = prompt('Rename recording', record.title);
+  if (title === null || !title.trim()) return;
+
+  await renameHistorySession(historyId, title.trim());
+  await refreshHistoryList();
+};
+
+
+const handleDeleteSession = async historyId => {
+  if (!confirm('Delete this recording and its transcripts?')) return;
+
+  await deleteHistorySession(historyId);
+  if (historyState.onDeleteSession) {
+    historyState.onDeleteSession(historyId);
+  }
+  await refreshHistoryList();
+};
+
+
+
+
+const setStatus = (message, type) => {
+  if (historyState.statusManager && historyState.statusManager.setStatus) {
+    historyState.statusManager.setStatus(message, type);
+  }
+};
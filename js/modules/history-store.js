@@ -0,0 +1,291 @@
+import { HISTORY_DB } from '../config/app-config.js';
+import { insertTranscriptInOrder } from '../utils/transcript-utils.js';
+
+
+let databasePromise = null;
+
+
+const requestToPromise = request => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+
+const transactionDone = transaction => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+};
+
+
+// Sessions saved before version 3 kept their transcripts inline
+const moveInlineTranscripts = (sessionsStore, transcriptsStore) => {
+  sessionsStore.openCursor().onsuccess = event => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+
+    const record = { ...cursor.value };
+    (record.transcripts || []).forEach(transcript => {
+      transcriptsStore.add({ ...transcript, historyId: record.id });
+    });
+    delete record.transcripts;
+    delete record.labels;
+    cursor.update(record);
+    cursor.continue();
+  };
+};
+
+
+const upgradeDatabase = (database, transaction) => {
+  if (!database.objectStoreNames.contains(HISTORY_DB.SESSIONS_STORE)) {
+    const store = database.createObjectStore(HISTORY_DB.SESSIONS_STORE, { keyPath: 'id' });
+    store.createIndex('startedAt', 'startedAt');
+  }
+  if (!database.objectStoreNames.contains(HISTORY_DB.PENDING_STORE)) {
+    database.createObjectStore(HISTORY_DB.PENDING_STORE, { keyPath: 'id' });
+  }
+  if (!database.objectStoreNames.contains(HISTORY_DB.TRANSCRIPTS_STORE)) {
+    const store = database.createObjectStore(HISTORY_DB.TRANSCRIPTS_STORE, {
+      keyPath: 'id',
+      autoIncrement: true,
+    });
+    store.createIndex('historyId', 'historyId');
+    // Transcripts without a sequence are left out of this index
+    store.createIndex('historySequence', ['historyId', 'sequence']);
+    moveInlineTranscripts(
+      transaction.objectStore(HISTORY_DB.SESSIONS_STORE),
+      transaction.objectStore(HISTORY_DB.TRANSCRIPTS_STORE)
+    );
+  }
+};
+
+
+export const openHistoryDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB.NAME, HISTORY_DB.VERSION);
+      request.onupgradeneeded = () => upgradeDatabase(request.result, request.transaction);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+};
+
+
+const getStore = async (mode, storeName = HISTORY_DB.SESSIONS_STORE) => {
+  const database = await openHistoryDatabase();
+  const transaction = database.transaction(storeName, mode);
+  return { transaction, store: transaction.objectStore(storeName) };
+};
+
+
+// Sessions with their transcripts, in one transaction
+const getSessionStores = async mode => {
+  const database = await openHistoryDatabase();
+  const transaction = database.transaction(
+    [HISTORY_DB.SESSIONS_STORE, HISTORY_DB.TRANSCRIPTS_STORE],
+    mode
+  );
+  return {
+    transaction,
+    sessions: transaction.objectStore(HISTORY_DB.SESSIONS_STORE),
+    transcripts: transaction.objectStore(HISTORY_DB.TRANSCRIPTS_STORE),
+  };
+};
+
+
+// Rows are read in the order they were saved; sequenced ones then move to capture order
+const toTranscriptList = rows => {
+  return rows.reduce((transcripts, row) => {
+    const transcript = { ...row };
+    delete transcript.id;
+    delete transcript.historyId;
+    return insertTranscriptInOrder(transcripts, transcript);
+  }, []);
+};
+
+
+const getTranscriptLabels = transcripts => {
+  return [...new Set(transcripts.map(transcript => transcript.label))];
+};
+
+
+// Read-modify-write a single record inside one transaction
+const updateHistorySession = async (id, updateFn) => {
+  const { transaction, store } = await getStore('readwrite');
+  const record = await requestToPromise(store.get(id));
+
+  if (!record) {
+    transaction.abort();
+    throw new Error(`History session not found: ${id}`);
+  }
+
+  const updated = updateFn(record);
+  store.put(updated);
+  await transactionDone(transaction);
+  return updated;
+};
+
+
+
+
+export const createHistorySession = async ({
+  provider,
+  startedAt = new Date().toISOString(),
+  title = `Recording ${new Date(startedAt).toLocaleString()}`,
+}) => {
+  const record = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    title,
+    provider,
+    startedAt,
+    stoppedAt: null,
+    meetingNotes: [],
+  };
+
+  const { transaction, store } = await getStore('readwrite');
+  store.add(record);
+  await transactionDone(transaction);
+  return { ...record, labels: [], transcripts: [] };
+};
+
+
+// A single row write, however long the session gets
+export const appendHistoryTranscript = async (id, transcript) => {
+  const { transaction, store } = await getStore('readwrite', HISTORY_DB.TRANSCRIPTS_STORE);
+  store.add({ ...transcript, historyId: id });
+  await transactionDone(transaction);
+  return transcript;
+};
+
+
+// A re-stitched segment overwrites the row saved for its sequence
+export const updateHistoryTranscript = async (id, transcript) => {
+  const { transaction, store } = await getStore('readwrite', HISTORY_DB.TRANSCRIPTS_STORE);
+  const key = await requestToPromise(
+    store.index('historySequence').getKey([id, transcript.sequence])
+  );
+  const row = { ...transcript, historyId: id };
+  if (key !== undefined) {
+    row.id = key;
+  }
+  store.put(row);
+  await transactionDone(transaction);
+  return transcript;
+};
+
+
+// Records created before meeting notes existed have no meetingNotes field
+export const appendHistoryMeetingNotes = async (id, entry) => {
+  return await updateHistorySession(id, record => ({
+    ...record,
+    meetingNotes: [...(record.meetingNotes || []), entry],
+  }));
+};
+
+
+// An empty name goes back to the provider's label
+export const renameHistorySpeaker = async (id, speaker, name) => {
+  return await updateHistorySession(id, record => {
+    const speakerNames = { ...(record.speakerNames || {}) };
+    if (name) {
+      speakerNames[speaker] = name;
+    } else {
+      delete speakerNames[speaker];
+    }
+    return { ...record, speakerNames };
+  });
+};
+
+
+export const finishHistorySession = async (id, stoppedAt = new Date().toISOString()) => {
+  return await updateHistorySession(id, record => ({ ...record, stoppedAt }));
+};
+
+
+export const renameHistorySession = async (id, title) => {
+  return await updateHistorySession(id, record => ({ ...record, title }));
+};
+
+
+export const getHistorySession = async id => {
+  const { sessions, transcripts } = await getSessionStores('readonly');
+  const [record, rows] = await Promise.all([
+    requestToPromise(sessions.get(id)),
+    requestToPromise(transcripts.index('historyId').getAll(id)),
+  ]);
+  if (!record) return null;
+
+  const transcriptList = toTranscriptList(rows);
+  return { ...record, labels: getTranscriptLabels(transcriptList), transcripts: transcriptList };
+};
+
+
+// Newest first, with transcript counts instead of the transcripts
+export const listHistorySessions = async () => {
+  const { sessions, transcripts } = await getSessionStores('readonly');
+  const records = await requestToPromise(sessions.index('startedAt').getAll());
+  const counts = await Promise.all(
+    records.map(record => requestToPromise(transcripts.index('historyId').count(record.id)))
+  );
+  return records.map((record, index) => ({ ...record, transcriptCount: counts[index] })).reverse();
+};
+
+
+export const deleteHistorySession = async id => {
+  const { transaction, sessions, transcripts } = await getSessionStores('readwrite');
+  sessions.delete(id);
+  const keys = await requestToPromise(transcripts.index('historyId').getAllKeys(id));
+  keys.forEach(key => transcripts.delete(key));
+  await transactionDone(transaction);
+};
+
+
+export const clearHistory = async () => {
+  const { transaction, sessions, transcripts } = await getSessionStores('readwrite');
+  sessions.clear();
+  transcripts.clear();
+  await transactionDone(transaction);
+};
+
+
+
+
+// Segments that failed to transcribe, kept with their audio until retried or discarded
+export const putPendingSegment = async item => {
+  const { transaction, store } = await getStore('readwrite', HISTORY_DB.PENDING_STORE);
+  store.put(item);
+  await transactionDone(transaction);
+  return item;
+};
+
+
+// Oldest first, so retries keep recording order
+export const listPendingSegments = async () => {
+  const { store } = await getStore('readonly', HISTORY_DB.PENDING_STORE);
+  const items = await requestToPromise(store.getAll());
+  return items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+
+export const deletePendingSegment = async id => {
+  const { transaction, store } = await getStore('readwrite', HISTORY_DB.PENDING_STORE);
+  store.delete(id);
+  await transactionDone(transaction);
+};
+
+
+export const clearPendingSegments = async () => {
+  const { transaction, store } = await getStore('readwrite', HISTORY_DB.PENDING_STORE);
+  store.clear();
+  await transactionDone(transaction);
+};
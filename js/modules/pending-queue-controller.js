@@ -0,0 +1,127 @@
+import { MESSAGE_TYPES } from '../config/app-config.js';
+import {
+  getDOMElements,
+  setText,
+  clearElement,
+  appendChild,
+  createPendingSegmentItem,
+} from '../utils/dom-utils.js';
+import { listPendingSegments } from './history-store.js';
+import { sendRecordingCommand } from './recording-client.js';
+
+
+// The queue itself is owned by the offscreen recorder; this only renders and forwards actions
+let pendingQueueState = {
+  isInitialized: false,
+  statusManager: null,
+  getRecorderConfig: null,
+};
+
+
+/**
+ * Bind the retry queue controls and resume any segments left from an earlier session
+ * @param {Object} options - Controller options
+ * @param {Object} options.statusManager - Object with setStatus(message, type)
+ * @param {Function} options.getRecorderConfig - Resolves to the recorder config, or null if no provider is set up
+ */
+export const initializePendingQueue = async ({ statusManager, getRecorderConfig }) => {
+  if (pendingQueueState.isInitialized) return;
+
+  pendingQueueState.statusManager = statusManager;
+  pendingQueueState.getRecorderConfig = getRecorderConfig;
+  bindQueueActions();
+  pendingQueueState.isInitialized = true;
+
+  // Only start a recorder when there is something to retry
+  try {
+    const items = await listPendingSegments();
+    if (items.length === 0) return;
+
+    const state = await sendRecordingCommand(MESSAGE_TYPES.RESUME_PENDING_QUEUE, {
+      config: await getRecorderConfig(),
+    });
+    renderPendingQueue(state.pendingSegments);
+  } catch (error) {
+    console.warn('Failed to resume pending queue:', error);
+  }
+};
+
+
+export const renderPendingQueue = (items = []) => {
+  const elements = getDOMElements();
+  if (!elements.pendingQueue) return;
+
+  elements.pendingQueue.hidden = items.length === 0;
+  setText(
+    elements.pendingQueueCount,
+    `${items.length} ${items.length === 1 ? 'segment' : 'segments'} waiting to retry`
+  );
+
+  clearElement(elements.pendingQueueList);
+  items.forEach(item => {
+    appendChild(elements.pendingQueueList, createPendingSegmentItem(item));
+  });
+};
+
+
+// Drops every queued segment, e.g. on reset
+export const clearPendingQueue = async () => {
+  const state = await sendRecordingCommand(MESSAGE_TYPES.DISCARD_PENDING);
+  renderPendingQueue(state.pendingSegments);
+};
+
+
+
+
+const bindQueueActions = () => {
+  const elements = getDOMElements();
+
+  elements.retryAllPendingButton?.addEventListener('click', event => {
+    // Keep the <details> from toggling
+    event.preventDefault();
+    handleQueueAction('retry');
+  });
+
+  elements.pendingQueueList?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    const item = event.target.closest('.pending-item');
+    if (!button || !item) return;
+
+    handleQueueAction(button.dataset.action, item.dataset.pendingId);
+  });
+};
+
+
+// Without an id the action applies to the whole queue
+const handleQueueAction = async (action, id) => {
+  try {
+    let state;
+    if (action === 'retry') {
+      const config = await pendingQueueState.getRecorderConfig();
+      if (!config) {
+        setStatus('Please configure API key in settings first', 'error');
+        return;
+      }
+      state = await sendRecordingCommand(MESSAGE_TYPES.RETRY_PENDING, { config, id });
+    } else if (action === 'discard') {
+      if (!confirm('Discard this segment? Its audio will be lost.')) return;
+      state = await sendRecordingCommand(MESSAGE_TYPES.DISCARD_PENDING, { id });
+    }
+
+    if (state) {
+      renderPendingQueue(state.pendingSegments);
+    }
+  } catch (error) {
+    console.error(`Queue ${action} failed:`, error);
+    setStatus(`Queue ${action} failed: ${error.message}`, 'error');
+  }
+};
+
+
+
+
+const setStatus = (message, type) => {
+  if (pendingQueueState.statusManager && pendingQueueState.statusManager.setStatus) {
+    pendingQueueState.statusManager.setStatus(message, type);
+  }
+};
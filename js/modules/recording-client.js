@@ -0,0 +1,45 @@
+import { MESSAGE_TARGETS, MESSAGE_TYPES } from '../config/app-config.js';
+
+
+/**
+ * Send a command to the offscreen recorder through the service worker
+ * @param {string} type - One of MESSAGE_TYPES
+ * @param {Object} payload - Command fields
+ * @returns {Promise<Object|null>} The recorder's state after the command, or null if none is running
+ * @throws {Error} When the recorder reports a failure
+ */
+export const sendRecordingCommand = async (type, payload = {}) => {
+  const response = await chrome.runtime.sendMessage({
+    ...payload,
+    type,
+    target: MESSAGE_TARGETS.SERVICE_WORKER,
+  });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'Recorder did not respond');
+  }
+
+  return response.state;
+};
+
+
+export const getRecordingState = () => sendRecordingCommand(MESSAGE_TYPES.GET_RECORDING_STATE);
+
+
+// Handler receives (eventName, message) for every event the recorder emits
+export const onRecordingEvent = handler => {
+  const listener = message => {
+    if (
+      message?.target !== MESSAGE_TARGETS.SIDE_PANEL ||
+      message.type !== MESSAGE_TYPES.RECORDING_EVENT
+    ) {
+      return false;
+    }
+
+    handler(message.event, message);
+    return false;
+  };
+
+  chrome.runtime.onMessage.addListener(listener);
+  return () => chrome.runtime.onMessage.removeListener(listener);
+};
@@ -0,0 +1,1282 @@
+import {
+  AUDIO_CONFIG,
+  UI_CONSTANTS,
+  RECORDING_EVENTS,
+  AUDIO_ENCODING_CONFIG,
+  FILE_TRANSCRIPTION_CONFIG,
+  PENDING_QUEUE_CONFIG,
+  LANGUAGE_CONFIG,
+  getApiProviderConfig,
+} from '../config/app-config.js';
+import {
+  getSupportedMimeType,
+  blobToBase64,
+  captureTabAudio,
+  captureMicrophoneAudio,
+  stopStream,
+  setupAudioPlayback,
+  setupAudioAnalysis,
+  createVoiceActivityDetector,
+  createAudioMixer,
+  closeAudioContext,
+  decodeAudioFile,
+  encodeSamples,
+  encodeAudioBlob,
+  getSegmentWindows,
+} from '../utils/audio-utils.js';
+import {
+  isRecording,
+  startRecording as setRecordingState,
+  stopRecording as setRecordingStop,
+  addSession,
+  removeSession,
+  getSession,
+  getAllSessionIds,
+  addTranscript,
+  getTranscripts,
+  clearTranscripts,
+  setCurrentHistoryId,
+  getCurrentHistoryId,
+  setRecordingStartedAt,
+  getRecordingStartedAt,
+  incrementSkippedSegments,
+  getSkippedSegmentCount,
+  resetSkippedSegments,
+} from './state-manager.js';
+import {
+  setTranscriptionProvider,
+  transcribeWithCurrentProvider,
+  translateWithCurrentProvider,
+  getCurrentProvider,
+  supportsTranslation,
+} from './transcription-service.js';
+import { getStreamingFunction } from './streaming-service.js';
+import { stitchTranscript, dropLeadingWords } from '../utils/transcript-utils.js';
+import { applyGlossaryCorrections, correctTranscriptResult } from '../utils/glossary-utils.js';
+import { redactText, redactTranscriptResult } from '../utils/redaction-utils.js';
+import {
+  createHistorySession,
+  appendHistoryTranscript,
+  updateHistoryTranscript,
+  finishHistorySession,
+  putPendingSegment,
+  listPendingSegments,
+  deletePendingSegment,
+  clearPendingSegments,
+} from './history-store.js';
+
+const MIXED_SESSION_ID = 'mixed';
+
+// Runs inside the offscreen document; the side panel only renders what is emitted
+let engineState = {
+  emit: () => {},
+  sendCaption: () => {},
+  getMediaTime: async () => null,
+  config: null,
+  audioPlaybackSessions: new Map(),
+  // { name, completed, total } while an uploaded file is being transcribed
+  fileJob: null,
+  // Audio-free summaries of the IndexedDB retry queue, for the side panel
+  pendingSegments: [],
+  queueTimer: null,
+  isDrainingQueue: false,
+  // Capture order of segments; never reset, so a later run can't reuse an earlier run's numbers
+  nextSequence: 0,
+  // Segments being transcribed, keyed by sequence, shown as placeholder rows
+  inFlightSegments: new Map(),
+  // Segments that finished before the one captured just before them, keyed by that one's
+  // sequence, with the provider result to stitch again once it lands
+  awaitingSegments: new Map(),
+  // Provider text of segments whose follower isn't stitched yet, before corrections and
+  // redaction, so the overlap matches what was said; kept in memory only
+  segmentTexts: new Map(),
+  lastStatus: { message: UI_CONSTANTS.STATUS_MESSAGES.IDLE, type: 'idle' },
+};
+
+export const initializeRecordingEngine = ({ emit, sendCaption, getMediaTime }) => {
+  engineState.emit = emit;
+  engineState.sendCaption = sendCaption;
+  engineState.getMediaTime = getMediaTime;
+
+  // Don't wait out the backoff once the connection is back
+  window.addEventListener('online', () => {
+    makePendingSegmentsDue(item => item.nextAttemptAt !== null).catch(error => {
+      console.warn('Failed to resume pending queue:', error);
+    });
+  });
+
+  // Segments left by an earlier recorder are listed now and retried once credentials arrive
+  refreshPendingQueue().catch(error => {
+    console.warn('Failed to load pending queue:', error);
+  });
+};
+
+const setStatus = (message, type) => {
+  engineState.lastStatus = { message, type };
+  engineState.emit(RECORDING_EVENTS.STATUS, { message, type });
+};
+
+const emitNotice = label => {
+  engineState.emit(RECORDING_EVENTS.NOTICE, { timestamp: new Date().toISOString(), label });
+};
+
+const getTabIds = inputIds => {
+  return inputIds
+    .filter(id => id.startsWith('tab-'))
+    .map(id => parseInt(id.slice('tab-'.length), 10));
+};
+
+// A mixed session captions every tab in the mix; microphone audio has no page to show them on
+const getSessionTabIds = sessionId => {
+  const mixer = sessionId === MIXED_SESSION_ID ? getSession(sessionId)?.mixer : null;
+  return getTabIds(mixer ? mixer.getInputIds() : [sessionId]);
+};
+
+// Empty text clears the overlay
+const sendCaptionToTabs = (tabIds, text, isFinal = true) => {
+  if (!engineState.config?.showCaptions) return;
+  tabIds.forEach(tabId => engineState.sendCaption({ tabId, text, isFinal }));
+};
+
+// Where the captured tab's video was when a segment started; a mix of several tabs has no
+// single video to point at
+const sampleMediaTime = async sessionId => {
+  const tabIds = getSessionTabIds(sessionId);
+  return tabIds.length === 1 ? await engineState.getMediaTime(tabIds[0]) : null;
+};
+
+// Transcripts are sent one by one as they arrive, so state events leave them out
+const emitState = () => {
+  const state = getRecordingState();
+  delete state.transcripts;
+  engineState.emit(RECORDING_EVENTS.STATE, { state });
+};
+
+/**
+ * Snapshot used by a (re)opened side panel to rebuild its view
+ * @returns {Object} Recording flag, run metadata, active sources and this run's transcripts
+ */
+export const getRecordingState = () => {
+  const sessionIds = getAllSessionIds();
+  const mixedSession = getSession(MIXED_SESSION_ID);
+  const inputIds = mixedSession ? mixedSession.mixer.getInputIds() : sessionIds;
+
+  return {
+    isRecording: isRecording(),
+    startedAt: getRecordingStartedAt(),
+    historyId: getCurrentHistoryId(),
+    provider: engineState.config?.provider || null,
+    skippedSegmentCount: getSkippedSegmentCount(),
+    status: engineState.lastStatus,
+    sources: {
+      microphone: inputIds.includes('microphone'),
+      tabIds: getTabIds(inputIds),
+    },
+    fileJob: engineState.fileJob && { ...engineState.fileJob },
+    pendingSegments: [...engineState.pendingSegments],
+    inFlightSegments: [...engineState.inFlightSegments.values()],
+    transcripts: getTranscripts(),
+  };
+};
+
+/**
+ * Start a recording run
+ * @param {Object} options - Run options
+ * @param {Object} options.config - Provider, credentials, fallback chain and audio preferences
+ * @param {boolean} options.useMicrophone - Whether to record the microphone
+ * @param {Array<{tabId: number, streamId: string, label: string}>} options.tabs - Tabs to record
+ * @param {Array<{tabId: number, label: string, error: string}>} options.tabErrors - Tabs whose stream ID could not be obtained
+ * @returns {Promise<Object>} Recording state plus tabErrors for every tab that failed to start
+ * @throws {Error} When no source could be started
+ */
+export const startEngineRecording = async ({ config, useMicrophone, tabs, tabErrors = [] }) => {
+  if (isRecording()) {
+    throw new Error('Recording is already running');
+  }
+  if (engineState.fileJob) {
+    throw new Error(`Wait for ${engineState.fileJob.name} to finish transcribing`);
+  }
+
+  setEngineConfig(config);
+  resetSkippedSegments();
+  clearTranscripts();
+  clearSegmentStitching();
+
+  // Start a history record for this run
+  const startedAt = new Date().toISOString();
+  setRecordingStartedAt(startedAt);
+  await startHistoryRecord(config.provider, startedAt);
+
+  setRecordingState();
+  setStatus(UI_CONSTANTS.STATUS_MESSAGES.REQUESTING_AUDIO, 'processing');
+  emitState();
+
+  const failedTabs = [...tabErrors];
+  const onTabError = (tab, error) => {
+    failedTabs.push({ tabId: tab.tabId, label: tab.label, error: error.message });
+  };
+
+  try {
+    // Start recording sessions, one channel per source unless mixing
+    if (config.mixSources) {
+      await startMixedSession(useMicrophone, tabs, onTabError);
+    } else {
+      if (useMicrophone) {
+        await startMicrophoneSession();
+      }
+      for (const tab of tabs) {
+        await startTabSession(tab).catch(error => onTabError(tab, error));
+      }
+    }
+
+    if (getAllSessionIds().length === 0) {
+      throw new Error(`No audio source could be captured: ${describeTabErrors(failedTabs)}`);
+    }
+  } catch (error) {
+    console.error('Failed to start recording:', error);
+    await stopEngineRecording();
+    throw error;
+  }
+
+  failedTabs.forEach(({ label, error }) => emitNotice(`${label} failed: ${error}`));
+  setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
+  return { ...getRecordingState(), tabErrors: failedTabs };
+};
+
+// Queued segments are retried with whichever credentials were set last
+const setEngineConfig = config => {
+  engineState.config = config;
+  setTranscriptionProvider(config.provider, config.fallbackProviders);
+};
+
+const describeTabErrors = tabErrors => {
+  return tabErrors.map(({ label, error }) => `${label} (${error})`).join(', ') || 'no sources';
+};
+
+const startHistoryRecord = async (provider, startedAt, title) => {
+  try {
+    const record = await createHistorySession({ provider, startedAt, title });
+    setCurrentHistoryId(record.id);
+  } catch (error) {
+    // Recording still works without persistence
+    console.warn('Failed to create history record:', error);
+    setCurrentHistoryId(null);
+  }
+};
+
+// Keep a transcript in memory, in the run's history record, and in any open side panel
+const saveTranscript = async (transcript, historyId = getCurrentHistoryId()) => {
+  // A retried segment from an earlier run only belongs in that run's record
+  if (!historyId || historyId === getCurrentHistoryId()) {
+    addTranscript(transcript);
+    engineState.emit(RECORDING_EVENTS.TRANSCRIPT, { transcript });
+    if (isRecording()) {
+      sendCaptionToTabs(getSessionTabIds(transcript.sessionId), transcript.text);
+    }
+  }
+
+  if (!historyId) return;
+  try {
+    await appendHistoryTranscript(historyId, transcript);
+  } catch (error) {
+    console.warn('Failed to save transcript to history:', error);
+  }
+};
+
+// A re-stitched segment takes the place of its earlier version; captions already showed it
+const updateTranscript = async (transcript, historyId) => {
+  if (historyId === getCurrentHistoryId()) {
+    addTranscript(transcript);
+    engineState.emit(RECORDING_EVENTS.TRANSCRIPT, { transcript });
+  }
+
+  if (!historyId) return;
+  try {
+    await updateHistoryTranscript(historyId, transcript);
+  } catch (error) {
+    console.warn('Failed to update transcript in history:', error);
+  }
+};
+
+const captureTabSource = async ({ streamId, label }) => {
+  const stream = await captureTabAudio(streamId);
+  return { stream, label };
+};
+
+const startTabSession = async tab => {
+  try {
+    const { stream, label } = await captureTabSource(tab);
+    await initializeAudioSession(`tab-${tab.tabId}`, stream, label);
+  } catch (error) {
+    console.error(`Failed to start tab session ${tab.tabId}:`, error);
+    throw error;
+  }
+};
+
+const startMicrophoneSession = async () => {
+  try {
+    const stream = await captureMicrophoneAudio();
+    await initializeAudioSession('microphone', stream, 'Microphone', { enablePlayback: false });
+  } catch (error) {
+    console.error('Failed to start microphone session:', error);
+    throw error;
+  }
+};
+
+const getMixedLabel = mixer => `Mixed: ${mixer.getLabels().join(' + ') || 'no sources'}`;
+
+// Record all sources through one mixer so each segment is a single upload
+const startMixedSession = async (useMicrophone, tabs, onTabError) => {
+  const mixer = createAudioMixer(MIXED_SESSION_ID);
+
+  try {
+    if (useMicrophone) {
+      mixer.addInput('microphone', await captureMicrophoneAudio(), { label: 'Microphone' });
+    }
+    for (const tab of tabs) {
+      try {
+        const { stream, label } = await captureTabSource(tab);
+        mixer.addInput(`tab-${tab.tabId}`, stream, { label, playback: true });
+      } catch (error) {
+        console.error(`Failed to add tab ${tab.tabId} to mix:`, error);
+        onTabError(tab, error);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to start mixed session:', error);
+    mixer.stop();
+    await closeAudioContext(MIXED_SESSION_ID);
+    throw error;
+  }
+
+  // Every tab failed; the caller reports why
+  if (mixer.getInputIds().length === 0) {
+    mixer.stop();
+    await closeAudioContext(MIXED_SESSION_ID);
+    return;
+  }
+
+  await initializeAudioSession(MIXED_SESSION_ID, mixer.stream, getMixedLabel(mixer), {
+    enablePlayback: false,
+    mixer,
+  });
+};
+
+const addMixedInput = async (inputId, captureSource) => {
+  const session = getSession(MIXED_SESSION_ID);
+  if (!session || session.mixer.hasInput(inputId)) return;
+
+  const { stream, label, playback } = await captureSource();
+  session.mixer.addInput(inputId, stream, { label, playback });
+  session.label = getMixedLabel(session.mixer);
+  emitNotice(`${label} added to mix`);
+};
+
+const removeMixedInput = inputId => {
+  const session = getSession(MIXED_SESSION_ID);
+  if (!session || !session.mixer.hasInput(inputId)) return;
+
+  sendCaptionToTabs(getTabIds([inputId]), '');
+  session.mixer.removeInput(inputId);
+  session.label = getMixedLabel(session.mixer);
+  emitNotice(`${inputId} removed from mix`);
+};
+
+const initializeAudioSession = async (
+  sessionId,
+  stream,
+  label,
+  { enablePlayback = true, mixer = null } = {}
+) => {
+  const { skipSilentSegments, streaming } = engineState.config;
+  const mimeType = getSupportedMimeType(stream);
+  const activeRecorders = new Set();
+
+  // Tab capture mutes the tab, so play it back through the offscreen document
+  let audioPlayback = null;
+  if (enablePlayback) {
+    audioPlayback = setupAudioPlayback(sessionId, stream, true);
+    engineState.audioPlaybackSessions.set(sessionId, audioPlayback);
+  }
+
+  // Measure speech activity on the same graph so silent segments can be skipped
+  let voiceActivity = null;
+  if (skipSilentSegments && !streaming) {
+    const graph = audioPlayback || mixer || setupAudioAnalysis(sessionId, stream);
+    voiceActivity = graph ? createVoiceActivityDetector(graph) : null;
+  }
+
+  // Create session data
+  const sessionData = {
+    label,
+    stream,
+    mimeType,
+    activeRecorders,
+    tickTimer: null,
+    audioPlayback,
+    voiceActivity,
+    mixer,
+    streamConnection: null,
+    streamRecorderStopped: null,
+    latestStreamUpdate: null,
+    lastSegmentSequence: null,
+  };
+
+  // Store session
+  addSession(sessionId, sessionData);
+
+  if (streaming) {
+    startStreamingTranscription(sessionId);
+    emitNotice(`${label} started (streaming)`);
+    return;
+  }
+
+  // Start recording segments
+  startRecordingSegment(sessionId);
+  sessionData.tickTimer = setInterval(() => {
+    startRecordingSegment(sessionId);
+  }, AUDIO_CONFIG.STEP_MS);
+
+  // Add session start notification
+  emitNotice(`${label} started`);
+};
+
+const startRecordingSegment = sessionId => {
+  const session = getSession(sessionId);
+  if (!session) return;
+
+  let recorder;
+  try {
+    recorder = new MediaRecorder(session.stream, { mimeType: session.mimeType });
+  } catch (error) {
+    console.warn('Failed to create MediaRecorder with MIME type, using default:', error);
+    recorder = new MediaRecorder(session.stream);
+  }
+
+  const audioChunks = [];
+  const activityWindow = session.voiceActivity?.startWindow();
+  const sequence = engineState.nextSequence++;
+  const previousSequence = session.lastSegmentSequence;
+  session.lastSegmentSequence = sequence;
+  const mediaTime = sampleMediaTime(sessionId);
+
+  // Collect audio data
+  recorder.ondataavailable = event => {
+    if (event.data && event.data.size > 0) {
+      audioChunks.push(event.data);
+    }
+  };
+
+  // Process completed segment
+  recorder.onstop = async () => {
+    session.activeRecorders.delete(recorder);
+
+    const activity = session.voiceActivity?.endWindow(activityWindow);
+    if (audioChunks.length === 0) return;
+
+    if (activity?.isSilent) {
+      const skippedCount = incrementSkippedSegments();
+      if (isRecording()) {
+        setStatus(`Recording… (skipped ${skippedCount} silent segments)`, 'recording');
+      }
+      return;
+    }
+
+    try {
+      // Create blob, re-encode it for the provider and convert to base64
+      const audioBlob = await prepareSegmentUpload(
+        new Blob(audioChunks, { type: session.mimeType })
+      );
+      const base64Data = await blobToBase64(audioBlob);
+
+      // Prepare transcription data
+      const { apiKey, endpointSettings } = engineState.config;
+      const transcriptionData = {
+        sessionId,
+        sequence,
+        previousSequence,
+        base64: base64Data,
+        mimeType: audioBlob.type,
+        timestamp: new Date().toISOString(),
+        label: session.label,
+        apiKey,
+        endpointSettings,
+        historyId: getCurrentHistoryId(),
+        media: await mediaTime,
+      };
+
+      // Perform transcription
+      await processTranscription(transcriptionData);
+    } catch (error) {
+      console.error('Failed to process audio segment:', error);
+      setStatus('Transcription processing failed', 'error');
+    }
+  };
+
+  // Start recording
+  session.activeRecorders.add(recorder);
+  recorder.start(AUDIO_CONFIG.CHUNK_MS);
+
+  // Schedule stop
+  setTimeout(() => {
+    try {
+      if (recorder.state !== 'inactive') {
+        recorder.stop();
+      }
+    } catch (error) {
+      console.warn('Failed to stop recorder:', error);
+    }
+  }, AUDIO_CONFIG.DURATION_MS);
+};
+
+const getPreferredAudioFormat = () => {
+  return getApiProviderConfig(engineState.config.provider)?.preferredAudioFormat || 'wav';
+};
+
+// 16 kHz mono in the provider's preferred format; the original recording is sent if that fails
+const prepareSegmentUpload = async audioBlob => {
+  try {
+    return await encodeAudioBlob(audioBlob, getPreferredAudioFormat());
+  } catch (error) {
+    console.warn('Failed to re-encode segment, uploading it as recorded:', error);
+    return audioBlob;
+  }
+};
+
+// Send MediaRecorder chunks to the provider as they arrive
+const startStreamingTranscription = sessionId => {
+  const session = getSession(sessionId);
+  if (!session) return;
+
+  const { provider, endpoint, apiKey } = engineState.config.streaming;
+  const openStream = getStreamingFunction(provider);
+
+  session.streamConnection = openStream({
+    apiKey,
+    endpoint,
+    language: engineState.config.language,
+    glossaryTerms: engineState.config.glossary.terms,
+    onTranscript: update => handleStreamingUpdate(sessionId, update),
+    onError: error => {
+      console.error(`Streaming error for ${sessionId}:`, error);
+      setStatus(`Streaming error: ${error.message}`, 'error');
+    },
+    onClose: ({ code, reason, wasRequested }) => {
+      emitInterim(sessionId, session.label, '');
+      if (!wasRequested && isRecording()) {
+        setStatus(`Streaming connection closed (${reason || code})`, 'error');
+      }
+    },
+  });
+
+  let recorder;
+  try {
+    recorder = new MediaRecorder(session.stream, { mimeType: session.mimeType });
+  } catch (error) {
+    console.warn('Failed to create MediaRecorder with MIME type, using default:', error);
+    recorder = new MediaRecorder(session.stream);
+  }
+
+  recorder.ondataavailable = event => {
+    if (event.data && event.data.size > 0) {
+      session.streamConnection?.send(event.data);
+    }
+  };
+
+  // The last dataavailable fires just before stop, so stopSession waits for this
+  session.streamRecorderStopped = new Promise(resolve => {
+    recorder.onstop = () => {
+      session.activeRecorders.delete(recorder);
+      resolve();
+    };
+  });
+
+  session.activeRecorders.add(recorder);
+  recorder.start(AUDIO_CONFIG.STREAM_CHUNK_MS);
+};
+
+// An empty text clears the session's interim line
+const emitInterim = (sessionId, label, text) => {
+  engineState.emit(RECORDING_EVENTS.INTERIM, { sessionId, label, text });
+  // Cleared interim text is replaced by the final transcript, so the overlay keeps its line
+  if (text) {
+    sendCaptionToTabs(getSessionTabIds(sessionId), text, false);
+  }
+};
+
+const handleStreamingUpdate = async (sessionId, update) => {
+  const session = getSession(sessionId);
+  const label = session?.label || sessionId;
+
+  // Updates arriving during redaction replace this one, so a stale line isn't shown
+  if (session) {
+    session.latestStreamUpdate = update;
+  }
+
+  if (!update.isFinal) {
+    const text = await redactText(update.text, engineState.config.redaction);
+    if (!session || session.latestStreamUpdate === update) {
+      emitInterim(sessionId, label, text);
+    }
+    return;
+  }
+
+  emitInterim(sessionId, label, '');
+  if (!update.text) return;
+
+  const transcript = {
+    timestamp: new Date().toISOString(),
+    text: applyGlossaryCorrections(update.text, engineState.config.glossary.corrections),
+    sessionId,
+    sequence: engineState.nextSequence++,
+    label,
+    provider: engineState.config.streaming.provider,
+    durationMs: Math.round(update.durationSeconds * 1000),
+  };
+  // Live results don't report a language, so only a chosen one is known
+  if (engineState.config.language !== LANGUAGE_CONFIG.AUTO_DETECT) {
+    transcript.language = engineState.config.language;
+  }
+
+  // The sequence is already taken, so slow redaction or translation can't reorder the transcript
+  transcript.text = await redactText(transcript.text, engineState.config.redaction);
+  if (!transcript.text) return;
+
+  const { apiKey, endpointSettings } = engineState.config;
+  const translated = await translateSegment(transcript, { apiKey, endpointSettings });
+  if (translated.translationError) {
+    setStatus(`Translation failed: ${translated.translationError}`, 'error');
+  }
+  if (translated.translation) {
+    transcript.translation = translated.translation;
+  }
+
+  saveTranscript(transcript);
+};
+
+const processTranscription = async data => {
+  markSegmentInFlight(data);
+  try {
+    const result = await transcribeWithCurrentProvider({
+      base64: data.base64,
+      mimeType: data.mimeType,
+      apiKey: data.apiKey,
+      endpointSettings: data.endpointSettings,
+      diarize: engineState.config.identifySpeakers,
+      language: engineState.config.language,
+      glossaryTerms: engineState.config.glossary.terms,
+    });
+
+    if (result.success) {
+      const translated = await finishSegment(data, result, data);
+      if (!translated.text) return;
+
+      if (translated.translationError) {
+        setStatus(`Translation failed: ${translated.translationError}`, 'error');
+      } else if (result.provider !== getCurrentProvider()) {
+        const providerName = getApiProviderConfig(result.provider)?.name || result.provider;
+        setStatus(`Transcribed with fallback ${providerName}`, 'recording');
+      } else if (isRecording()) {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.RECORDING, 'recording');
+      }
+    } else if (result.isFatal) {
+      // Fatal error - show to user
+      setStatus(`Transcription error: ${result.error}`, 'error');
+    } else {
+      // Temporary error - keep the audio and retry on a schedule
+      await enqueuePendingSegment(data, result);
+      setStatus(`Queued segment for retry (${result.error})`, 'processing');
+    }
+  } catch (error) {
+    console.error('Transcription failed:', error);
+    setStatus(`Transcription failed: ${error.message}`, 'error');
+  } finally {
+    settleSegment(data.sequence);
+  }
+};
+
+// Placeholder rows keep a segment's place while later segments finish first
+const markSegmentInFlight = ({ sequence, sessionId, label, timestamp, offsetMs }) => {
+  if (sequence === undefined) return;
+
+  const segment = { sequence, sessionId, label, timestamp, offsetMs };
+  engineState.inFlightSegments.set(sequence, segment);
+  engineState.emit(RECORDING_EVENTS.SEGMENT_IN_FLIGHT, { segment });
+};
+
+// Sent after any transcript, so the side panel drops placeholders that got no text
+const settleSegment = sequence => {
+  if (!engineState.inFlightSegments.delete(sequence)) return;
+  engineState.emit(RECORDING_EVENTS.SEGMENT_SETTLED, { sequence });
+};
+
+const clearSegmentStitching = () => {
+  engineState.awaitingSegments.clear();
+  engineState.segmentTexts.clear();
+};
+
+// Stitch, correct, redact and translate a provider result, save it, then stitch the segment
+// captured next if it finished first
+const finishSegment = async (data, result, credentials) => {
+  const stitched = await redactSegmentResult(stitchSegmentResult(data, result));
+  const translated = stitched.text ? await translateSegment(stitched, credentials) : stitched;
+  if (translated.text) {
+    saveSegmentTranscript(data, translated, result.provider);
+  }
+
+  const following = engineState.awaitingSegments.get(data.sequence);
+  engineState.awaitingSegments.delete(data.sequence);
+  if (following) {
+    await restitchSegment(following);
+  }
+  return translated;
+};
+
+// The segment was saved as transcribed; it's only replaced if the overlap drops words
+const restitchSegment = async ({ data, result }) => {
+  const stitched = stitchSegmentResult(data, result);
+  const unstitched = correctSegmentResult(toSegmentResult(result));
+  if (!stitched.text || stitched.text === unstitched.text) return;
+
+  const { apiKey, endpointSettings } = engineState.config;
+  const translated = await translateSegment(await redactSegmentResult(stitched), {
+    apiKey,
+    endpointSettings,
+  });
+  await updateTranscript(buildSegmentTranscript(data, translated, result.provider), data.historyId);
+};
+
+const toSegmentResult = ({ text, utterances = [], words = [], language = null }) => ({
+  text: text || '',
+  utterances,
+  words,
+  language,
+});
+
+// Drop words repeated from the previous segment's overlap window, from the speaker turns and
+// word timings too. Only the segment captured just before counts; one that hasn't landed yet
+// stitches this one when it does. Segments from an earlier run have no neighbours in memory,
+// so they are saved as transcribed.
+const stitchSegmentResult = (data, result) => {
+  const segment = toSegmentResult(result);
+  if (data.historyId !== getCurrentHistoryId()) {
+    return correctSegmentResult(segment);
+  }
+
+  engineState.segmentTexts.set(data.sequence, segment.text);
+  if (!Number.isInteger(data.previousSequence)) {
+    return correctSegmentResult(segment);
+  }
+
+  const previousText = engineState.segmentTexts.get(data.previousSequence);
+  if (previousText === undefined) {
+    const following = { ...data };
+    delete following.base64;
+    delete following.apiKey;
+    delete following.endpointSettings;
+    engineState.awaitingSegments.set(data.previousSequence, { data: following, result });
+    return correctSegmentResult(segment);
+  }
+
+  engineState.segmentTexts.delete(data.previousSequence);
+  const stitched = stitchTranscript(previousText, segment.text);
+  return correctSegmentResult({
+    ...segment,
+    text: stitched.text,
+    utterances: dropLeadingWords(segment.utterances, stitched.droppedWords),
+    words: segment.words.slice(stitched.droppedWords),
+  });
+};
+
+// Glossary corrections run after stitching, which counts words in the provider's text.
+// Word timings keep the provider's spelling; only their confidence is shown.
+const correctSegmentResult = stitched => {
+  return correctTranscriptResult(stitched, engineState.config.glossary.corrections);
+};
+
+// Between the provider's result and addTranscript, so personal data is never shown, stored,
+// translated, summarized or exported
+const redactSegmentResult = stitched => {
+  return redactTranscriptResult(stitched, engineState.config.redaction);
+};
+
+// Runs before saving, so each transcript is stored once; a failed translation keeps the original
+const translateSegment = async (stitched, { apiKey, endpointSettings }) => {
+  const { translateTo } = engineState.config;
+  if (!translateTo || stitched.language === translateTo) return stitched;
+  if (!supportsTranslation(getCurrentProvider(), endpointSettings)) return stitched;
+
+  try {
+    const result = await translateWithCurrentProvider(stitched.text, translateTo, {
+      apiKey,
+      endpointSettings,
+    });
+    if (!result.success) {
+      return { ...stitched, translationError: result.error };
+    }
+    // Formats can change in translation, so the translated text gets its own pass
+    const text = await redactText(result.text, engineState.config.redaction);
+    return { ...stitched, translation: { language: translateTo, text } };
+  } catch (error) {
+    return { ...stitched, translationError: error.message };
+  }
+};
+
+// Word times stay relative to the start of the segment's audio
+const buildSegmentTranscript = (
+  data,
+  { text, utterances, words, language, translation },
+  provider
+) => {
+  const transcript = {
+    timestamp: data.timestamp,
+    text,
+    sessionId: data.sessionId,
+    sequence: data.sequence,
+    label: data.label,
+    provider,
+  };
+  if (utterances.length > 0) {
+    transcript.utterances = utterances;
+  }
+  if (words.length > 0) {
+    transcript.words = words;
+  }
+  if (language) {
+    transcript.language = language;
+  }
+  if (data.media) {
+    transcript.media = data.media;
+  }
+  if (translation) {
+    transcript.translation = translation;
+  }
+  // File segments know exactly where they sit in the file
+  if (data.offsetMs !== undefined) {
+    transcript.offsetMs = data.offsetMs;
+    transcript.durationMs = data.durationMs;
+  }
+  return transcript;
+};
+
+const saveSegmentTranscript = (data, translated, provider) => {
+  saveTranscript(buildSegmentTranscript(data, translated, provider), data.historyId);
+};
+
+export const stopEngineRecording = async () => {
+  setRecordingStop();
+
+  // Stop all sessions
+  const sessionIds = getAllSessionIds();
+  for (const sessionId of sessionIds) {
+    await stopSession(sessionId);
+  }
+
+  // Close the history record; late segments still append to it
+  const historyId = getCurrentHistoryId();
+  if (historyId) {
+    finishHistorySession(historyId).catch(error => {
+      console.warn('Failed to finish history record:', error);
+    });
+  }
+
+  const skippedCount = getSkippedSegmentCount();
+  if (skippedCount > 0) {
+    setStatus(`Idle (skipped ${skippedCount} silent segments)`, 'idle');
+  } else {
+    setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+  }
+  emitState();
+  return getRecordingState();
+};
+
+const waitForStreamRecorder = session => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, AUDIO_CONFIG.STREAM_FLUSH_TIMEOUT_MS);
+  });
+  return Promise.race([session.streamRecorderStopped, timeout]).finally(() => {
+    clearTimeout(timer);
+  });
+};
+
+const stopSession = async sessionId => {
+  const session = getSession(sessionId);
+  if (!session) return;
+
+  sendCaptionToTabs(getSessionTabIds(sessionId), '');
+
+  try {
+    // Stop recurring segment creation
+    if (session.tickTimer) {
+      clearInterval(session.tickTimer);
+    }
+
+    // Stop all active recorders
+    for (const recorder of Array.from(session.activeRecorders)) {
+      try {
+        if (recorder.state !== 'inactive') {
+          recorder.stop();
+        }
+      } catch (error) {
+        console.warn('Failed to stop recorder:', error);
+      }
+    }
+
+    // Send the recorder's final chunk before asking the server to finish
+    if (session.streamConnection) {
+      await waitForStreamRecorder(session);
+      session.streamConnection.close();
+    }
+    session.voiceActivity?.stop();
+
+    // Stop mixed inputs and the audio stream
+    session.mixer?.stop();
+    stopStream(session.stream);
+
+    // Close audio context
+    if (session.audioPlayback || session.voiceActivity || session.mixer) {
+      await closeAudioContext(sessionId);
+      engineState.audioPlaybackSessions.delete(sessionId);
+    }
+  } catch (error) {
+    console.warn(`Failed to properly stop session ${sessionId}:`, error);
+  }
+
+  // Remove session from state
+  removeSession(sessionId);
+
+  // Add stop notification
+  emitNotice(`${sessionId} stopped`);
+};
+
+// The error names the tab so the side panel can say which one could not be added
+export const addEngineTab = async (tab, tabErrors = []) => {
+  if (tabErrors.length > 0) {
+    throw new Error(`${tabErrors[0].label} failed: ${tabErrors[0].error}`);
+  }
+  if (!isRecording()) return getRecordingState();
+
+  try {
+    if (getSession(MIXED_SESSION_ID)) {
+      await addMixedInput(`tab-${tab.tabId}`, async () => ({
+        ...(await captureTabSource(tab)),
+        playback: true,
+      }));
+    } else if (!getSession(`tab-${tab.tabId}`)) {
+      await startTabSession(tab);
+    }
+  } catch (error) {
+    throw new Error(`${tab.label} failed: ${error.message}`);
+  }
+  emitState();
+  return getRecordingState();
+};
+
+export const removeEngineTab = async tabId => {
+  if (!isRecording()) return getRecordingState();
+
+  if (getSession(MIXED_SESSION_ID)) {
+    removeMixedInput(`tab-${tabId}`);
+  } else {
+    await stopSession(`tab-${tabId}`);
+  }
+  emitState();
+  return getRecordingState();
+};
+
+export const setEngineMicrophone = async enabled => {
+  if (!isRecording()) return getRecordingState();
+
+  if (getSession(MIXED_SESSION_ID)) {
+    if (enabled) {
+      await addMixedInput('microphone', async () => ({
+        stream: await captureMicrophoneAudio(),
+        label: 'Microphone',
+        playback: false,
+      }));
+    } else {
+      removeMixedInput('microphone');
+    }
+  } else if (enabled) {
+    if (!getSession('microphone')) {
+      await startMicrophoneSession();
+    }
+  } else {
+    await stopSession('microphone');
+  }
+  emitState();
+  return getRecordingState();
+};
+
+export const clearEngineTranscripts = () => {
+  clearTranscripts();
+  clearSegmentStitching();
+  return getRecordingState();
+};
+
+/**
+ * Transcribe an uploaded audio or video file in the same overlapping windows as live recording
+ * @param {Object} options - Job options
+ * @param {Object} options.config - Provider, credentials and fallback chain, as for startEngineRecording
+ * @param {{url: string, name: string}} options.file - Blob URL created by the side panel, and the file name
+ * @returns {Promise<Object>} Recording state including the started fileJob
+ * @throws {Error} When busy or the file cannot be decoded
+ */
+export const transcribeEngineFile = async ({ config, file }) => {
+  if (isRecording() || engineState.fileJob) {
+    throw new Error('Stop the current recording or file transcription first');
+  }
+
+  // Read everything now; the side panel revokes the blob URL once this returns
+  let samples;
+  try {
+    const response = await fetch(file.url);
+    samples = await decodeAudioFile(
+      await response.arrayBuffer(),
+      AUDIO_ENCODING_CONFIG.SAMPLE_RATE
+    );
+  } catch (error) {
+    throw new Error(`Could not decode ${file.name}: ${error.message}`);
+  }
+
+  const windows = getSegmentWindows((samples.length / AUDIO_ENCODING_CONFIG.SAMPLE_RATE) * 1000);
+  if (windows.length === 0) {
+    throw new Error(`${file.name} contains no audio`);
+  }
+
+  setEngineConfig(config);
+  clearTranscripts();
+  clearSegmentStitching();
+
+  const startedAt = new Date().toISOString();
+  setRecordingStartedAt(startedAt);
+  await startHistoryRecord(config.provider, startedAt, file.name);
+
+  engineState.fileJob = { name: file.name, completed: 0, total: windows.length };
+  emitState();
+
+  runFileJob(samples, windows, startedAt).catch(error => {
+    console.error('File transcription failed:', error);
+    setStatus(`File transcription failed: ${error.message}`, 'error');
+    finishFileJob();
+  });
+
+  return getRecordingState();
+};
+
+const emitFileProgress = () => {
+  const { name, completed, total } = engineState.fileJob;
+  engineState.emit(RECORDING_EVENTS.FILE_PROGRESS, { fileJob: { ...engineState.fileJob } });
+  if (completed < total) {
+    setStatus(`Transcribing ${name}: segment ${completed + 1} of ${total}…`, 'processing');
+  }
+};
+
+// Segments go through processTranscription one at a time, in file order
+const runFileJob = async (samples, windows, startedAt) => {
+  const { apiKey, endpointSettings } = engineState.config;
+  const { SAMPLE_RATE } = AUDIO_ENCODING_CONFIG;
+  const format = getPreferredAudioFormat();
+  const label = `File: ${engineState.fileJob.name}`;
+  const historyId = getCurrentHistoryId();
+  let previousSequence = null;
+
+  for (const { offsetMs, durationMs } of windows) {
+    emitFileProgress();
+
+    const startSample = Math.floor((offsetMs / 1000) * SAMPLE_RATE);
+    const endSample = Math.floor(((offsetMs + durationMs) / 1000) * SAMPLE_RATE);
+    const audioBlob = await encodeSamples(samples.subarray(startSample, endSample), format);
+    const sequence = engineState.nextSequence++;
+
+    await processTranscription({
+      sessionId: FILE_TRANSCRIPTION_CONFIG.SESSION_ID,
+      base64: await blobToBase64(audioBlob),
+      mimeType: audioBlob.type,
+      // Segment end on a clock that starts with the file, so exports line up with it
+      timestamp: new Date(new Date(startedAt).getTime() + offsetMs + durationMs).toISOString(),
+      offsetMs,
+      durationMs,
+      sequence,
+      previousSequence,
+      label,
+      apiKey,
+      endpointSettings,
+      historyId,
+    });
+
+    previousSequence = sequence;
+    engineState.fileJob.completed++;
+  }
+
+  emitFileProgress();
+  setStatus(`Finished transcribing ${engineState.fileJob.name}`, 'idle');
+  finishFileJob();
+};
+
+const finishFileJob = () => {
+  const historyId = getCurrentHistoryId();
+  if (historyId) {
+    finishHistorySession(historyId).catch(error => {
+      console.warn('Failed to finish history record:', error);
+    });
+  }
+
+  engineState.fileJob = null;
+  emitState();
+};
+
+// Exponential backoff, but never sooner than the provider's Retry-After
+const getRetryDelay = (attempts, retryAfterMs) => {
+  const { BASE_DELAY_MS, MAX_DELAY_MS } = PENDING_QUEUE_CONFIG;
+  const backoffMs = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+  return Math.max(backoffMs, retryAfterMs || 0);
+};
+
+const summarizePendingSegment = ({ id, segment, attempts, nextAttemptAt, lastError }) => ({
+  id,
+  label: segment.label,
+  timestamp: segment.timestamp,
+  attempts,
+  nextAttemptAt,
+  lastError,
+});
+
+// Credentials aren't stored with the audio; retries use the current config
+const enqueuePendingSegment = async (data, result) => {
+  const segment = { ...data };
+  delete segment.apiKey;
+  delete segment.endpointSettings;
+
+  await putPendingSegment({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt: new Date().toISOString(),
+    attempts: 1,
+    nextAttemptAt: Date.now() + getRetryDelay(1, result.retryAfterMs),
+    lastError: result.error,
+    segment,
+  });
+  await refreshPendingQueue();
+};
+
+// Re-read the queue, tell the side panel and arm the timer for the next due item
+const refreshPendingQueue = async () => {
+  const items = await listPendingSegments();
+  engineState.pendingSegments = items.map(summarizePendingSegment);
+  engineState.emit(RECORDING_EVENTS.QUEUE, { pendingSegments: [...engineState.pendingSegments] });
+
+  clearTimeout(engineState.queueTimer);
+  engineState.queueTimer = null;
+
+  // Items that failed fatally wait for a manual retry
+  const dueTimes = items.map(item => item.nextAttemptAt).filter(time => time !== null);
+  if (dueTimes.length === 0 || engineState.isDrainingQueue) return;
+
+  const delay = Math.max(0, Math.min(...dueTimes) - Date.now());
+  engineState.queueTimer = setTimeout(drainPendingQueue, delay);
+};
+
+const drainPendingQueue = async () => {
+  // Offline retries would only fail; the online listener restarts the queue
+  if (engineState.isDrainingQueue || !engineState.config || !navigator.onLine) return;
+
+  engineState.isDrainingQueue = true;
+  try {
+    const dueItems = (await listPendingSegments()).filter(
+      item => item.nextAttemptAt !== null && item.nextAttemptAt <= Date.now()
+    );
+    for (const item of dueItems) {
+      await retryPendingSegment(item);
+    }
+  } catch (error) {
+    console.warn('Failed to drain pending queue:', error);
+  } finally {
+    engineState.isDrainingQueue = false;
+  }
+
+  await refreshPendingQueue().catch(error => {
+    console.warn('Failed to refresh pending queue:', error);
+  });
+};
+
+const retryPendingSegment = async item => {
+  const { apiKey, endpointSettings } = engineState.config;
+  let result;
+  try {
+    result = await transcribeWithCurrentProvider({
+      base64: item.segment.base64,
+      mimeType: item.segment.mimeType,
+      apiKey,
+      endpointSettings,
+      diarize: engineState.config.identifySpeakers,
+      language: engineState.config.language,
+      glossaryTerms: engineState.config.glossary.terms,
+    });
+  } catch (error) {
+    result = { success: false, error: error.message, isFatal: false };
+  }
+
+  if (result.success) {
+    await deletePendingSegment(item.id);
+    await finishSegment(item.segment, result, { apiKey, endpointSettings });
+    return;
+  }
+
+  const attempts = item.attempts + 1;
+  await putPendingSegment({
+    ...item,
+    attempts,
+    lastError: result.error,
+    nextAttemptAt: result.isFatal
+      ? null
+      : Date.now() + getRetryDelay(attempts, result.retryAfterMs),
+  });
+};
+
+const makePendingSegmentsDue = async shouldRetry => {
+  const now = Date.now();
+  for (const item of await listPendingSegments()) {
+    if (shouldRetry(item)) {
+      await putPendingSegment({ ...item, nextAttemptAt: now });
+    }
+  }
+  await refreshPendingQueue();
+};
+
+// A running recording or file job keeps the credentials it started with
+const adoptQueueConfig = config => {
+  if (config && !isRecording() && !engineState.fileJob) {
+    setEngineConfig(config);
+  }
+};
+
+/**
+ * Give the queue credentials, e.g. when a side panel opens after a browser restart
+ * @param {Object} options - Resume options
+ * @param {Object|null} options.config - Provider, credentials and fallback chain for retries
+ * @returns {Promise<Object>} Recording state including pendingSegments
+ */
+export const resumePendingQueue = async ({ config }) => {
+  adoptQueueConfig(config);
+  await refreshPendingQueue();
+  return getRecordingState();
+};
+
+// Without an id every queued segment is retried now
+export const retryPendingSegments = async ({ config, id }) => {
+  adoptQueueConfig(config);
+  await makePendingSegmentsDue(item => !id || item.id === id);
+  return getRecordingState();
+};
+
+// Without an id the whole queue is dropped
+export const discardPendingSegments = async ({ id }) => {
+  if (id) {
+    await deletePendingSegment(id);
+  } else {
+    await clearPendingSegments();
+  }
+  await refreshPendingQueue();
+  return getRecordingState();
+};
@@ -1,6 +1,11 @@
 
 
-import { API_PROVIDERS, UI_CONSTANTS } from '../config/app-config.js';
+import {
+  API_PROVIDERS,
+  LANGUAGE_CONFIG,
+  REDACTION_CONFIG,
+  UI_CONSTANTS,
+} from '../config/app-config.js';
 import {
   getDOMElements,
   showElement,
@@ -10,6 +15,10 @@ import {
   getValue,
   setValue,
   setHTML,
+  clearElement,
+  appendChild,
+  createElement,
+  createFallbackProviderItem,
 } from '../utils/dom-utils.js';
 import {
   getCurrentApiConfiguration,
@@ -18,7 +27,39 @@ import {
   loadAllApiKeys,
   clearAllApiKeys,
   getApiProvider,
+  saveStreamingEnabled,
+  getStreamingEnabled,
+  saveSkipSilentSegments,
+  getSkipSilentSegments,
+  saveIdentifySpeakers,
+  getIdentifySpeakers,
+  saveTranscriptionLanguage,
+  getTranscriptionLanguage,
+  saveTranslationLanguage,
+  getTranslationLanguage,
+  saveMixAudioSources,
+  getMixAudioSources,
+  saveShowCaptions,
+  getShowCaptions,
+  saveFallbackProviders,
+  getFallbackProviders,
+  saveApiKey,
+  saveCustomEndpointSettings,
+  getCustomEndpointSettings,
+  saveTabDomainRules,
+  getTabDomainRules,
+  saveGlossaryProfiles,
+  getGlossaryProfiles,
+  saveRedactionSettings,
+  getRedactionSettings,
 } from './storage-manager.js';
+import { parseDomainRules, setTabDomainRules } from './tab-registry.js';
+import {
+  parseGlossaryTerms,
+  parseGlossaryCorrections,
+  formatGlossaryCorrections,
+} from '../utils/glossary-utils.js';
+import { parseRedactionRules } from '../utils/redaction-utils.js';
 import {
   setApiProvider,
   clearTranscripts,
@@ -26,11 +67,19 @@ import {
   closeSettingsPanel,
   isSettingsPanelOpen,
 } from './state-manager.js';
+import { clearHistory } from './history-store.js';
+import { supportsTranslation } from './transcription-service.js';
+import { clearPendingQueue } from './pending-queue-controller.js';
 
 
 let settingsState = {
   isInitialized: false,
   statusManager: null,
+  // Every provider in display order, and which of them are enabled as fallbacks
+  fallbackOrder: Object.keys(API_PROVIDERS),
+  enabledFallbacks: new Set(),
+  // Stored glossary profiles, as last saved
+  glossary: { activeProfileId: null, profiles: [] },
 };
 
 
@@ -47,7 +96,14 @@ export const initializeSettings = async statusManager => {
 const bindAllEventListeners = () => {
   bindPanelControls();
   bindApiProviderSelection();
+  bindLanguageSelection();
   bindApiKeySaveButtons();
+  bindStreamingToggles();
+  bindAudioSourceToggles();
+  bindTabDomainRules();
+  bindGlossaryProfiles();
+  bindRedactionSettings();
+  bindFallbackList();
   bindResetButton();
   bindKeyboardShortcuts();
 };
@@ -173,17 +229,53 @@ const showApiConfigurationPanel = providerId => {
       showElement(element);
     }
   }
+
+  updateTranslationAvailability(providerId);
+};
+
+
+// The chosen language is kept for when a provider that can translate is selected again
+const updateTranslationAvailability = providerId => {
+  const { translationLanguageSelect } = getDOMElements();
+  if (translationLanguageSelect) {
+    translationLanguageSelect.disabled = !supportsTranslation(providerId, readCustomEndpointForm());
+  }
 };
 
 
 
 
+// Applies to recordings started after the change
+const bindLanguageSelection = () => {
+  const elements = getDOMElements();
+  const selects = [
+    [elements.transcriptionLanguageSelect, saveTranscriptionLanguage, 'language'],
+    [elements.translationLanguageSelect, saveTranslationLanguage, 'translation'],
+  ];
+
+  selects.forEach(([select, savePreference, description]) => {
+    select?.addEventListener('change', async event => {
+      try {
+        await savePreference(event.target.value);
+      } catch (error) {
+        console.error(`Failed to save ${description} preference:`, error);
+        setStatus(`Failed to save ${description} preference: ${error.message}`, 'error');
+      }
+    });
+  });
+};
+
+
 const bindApiKeySaveButtons = () => {
   Object.entries(API_PROVIDERS).forEach(([providerId, config]) => {
     const saveButton = document.getElementById(config.saveButtonElementId);
     if (saveButton) {
       saveButton.addEventListener('click', () => {
-        handleApiKeySave(providerId);
+        if (config.settingsKeyName) {
+          handleCustomEndpointSave();
+        } else {
+          handleApiKeySave(providerId);
+        }
       });
     }
   });
@@ -236,6 +328,421 @@ const handleApiKeySave = async providerId => {
 };
 
 
+const readCustomEndpointForm = () => {
+  const elements = getDOMElements();
+  return {
+    baseUrl: getValue(elements.customBaseUrlInput),
+    model: getValue(elements.customModelInput),
+    authHeaderName: getValue(elements.customAuthHeaderInput),
+    chatEndpoint: getValue(elements.customChatEndpointInput),
+    chatModel: getValue(elements.customChatModelInput),
+  };
+};
+
+
+const fillCustomEndpointForm = (settings = {}) => {
+  const elements = getDOMElements();
+  setValue(elements.customBaseUrlInput, settings.baseUrl || '');
+  setValue(elements.customModelInput, settings.model || '');
+  setValue(elements.customAuthHeaderInput, settings.authHeaderName || '');
+  setValue(elements.customChatEndpointInput, settings.chatEndpoint || '');
+  setValue(elements.customChatModelInput, settings.chatModel || '');
+};
+
+
+// The extension's host permissions already cover any http(s) server
+const validateEndpointUrls = settings => {
+  [settings.baseUrl, settings.chatEndpoint]
+    .filter(url => url.trim())
+    .forEach(url => {
+      const parsed = new URL(url.trim());
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error(`Unsupported URL scheme: ${parsed.protocol}`);
+      }
+    });
+};
+
+
+const handleCustomEndpointSave = async () => {
+  const elements = getDOMElements();
+  const config = API_PROVIDERS.custom;
+  const buttonElement = elements.saveCustomKeyButton;
+
+  try {
+    const settings = readCustomEndpointForm();
+    if (!settings.baseUrl.trim()) {
+      setStatus('Base URL cannot be empty', 'error');
+      return;
+    }
+
+    validateEndpointUrls(settings);
+    setButtonSavingState(buttonElement, true);
+
+    await saveCustomEndpointSettings(settings);
+    await saveApiKey(config.id, getValue(elements.customApiKeyInput));
+    updateTranslationAvailability(getValue(elements.apiProviderSelect));
+
+    setButtonSavedState(buttonElement);
+    setStatus(`${config.name} settings saved`, 'processing');
+
+    setTimeout(() => {
+      setButtonSavingState(buttonElement, false);
+      setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+    }, 1500);
+  } catch (error) {
+    console.error('Failed to save custom endpoint:', error);
+    setButtonSavingState(buttonElement, false);
+    setStatus(`Failed to save custom endpoint: ${error.message}`, 'error');
+  }
+};
+
+
+const bindStreamingToggles = () => {
+  Object.values(API_PROVIDERS).forEach(config => {
+    if (!config.streamingToggleElementId) return;
+
+    const toggle = document.getElementById(config.streamingToggleElementId);
+    toggle?.addEventListener('change', async event => {
+      try {
+        await saveStreamingEnabled(event.target.checked);
+        setStatus(
+          event.target.checked ? 'Real-time streaming enabled' : 'Real-time streaming disabled',
+          'processing'
+        );
+
+        setTimeout(() => {
+          setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+        }, 1500);
+      } catch (error) {
+        console.error('Failed to save streaming preference:', error);
+        setStatus(`Failed to save streaming preference: ${error.message}`, 'error');
+      }
+    });
+  });
+};
+
+
+const bindAudioSourceToggles = () => {
+  const elements = getDOMElements();
+  const toggles = [
+    [elements.skipSilenceCheckbox, saveSkipSilentSegments, 'silence detection'],
+    [elements.mixSourcesCheckbox, saveMixAudioSources, 'source mixing'],
+    [elements.showCaptionsCheckbox, saveShowCaptions, 'caption overlay'],
+    [elements.identifySpeakersCheckbox, saveIdentifySpeakers, 'speaker detection'],
+  ];
+
+  toggles.forEach(([checkbox, savePreference, description]) => {
+    checkbox?.addEventListener('change', async event => {
+      try {
+        await savePreference(event.target.checked);
+      } catch (error) {
+        console.error(`Failed to save ${description} preference:`, error);
+        setStatus(`Failed to save ${description} preference: ${error.message}`, 'error');
+      }
+    });
+  });
+};
+
+
+const bindTabDomainRules = () => {
+  const elements = getDOMElements();
+  elements.saveTabDomainRulesButton?.addEventListener('click', async () => {
+    try {
+      const domainRules = parseDomainRules(elements.tabDomainRulesInput?.value);
+      await saveTabDomainRules(domainRules);
+      setValue(elements.tabDomainRulesInput, domainRules.join(', '));
+      await setTabDomainRules(domainRules);
+      setStatus('Tab rules saved', 'processing');
+
+      setTimeout(() => {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+      }, 1500);
+    } catch (error) {
+      console.error('Failed to save tab rules:', error);
+      setStatus(`Failed to save tab rules: ${error.message}`, 'error');
+    }
+  });
+};
+
+
+// Applies to recordings started after the change
+const bindGlossaryProfiles = () => {
+  const elements = getDOMElements();
+
+  elements.glossaryProfileSelect?.addEventListener('change', event => {
+    updateGlossaryProfiles({
+      ...settingsState.glossary,
+      activeProfileId: event.target.value || null,
+    });
+  });
+  elements.newGlossaryProfileButton?.addEventListener('click', () => {
+    handleNewGlossaryProfile();
+  });
+  elements.deleteGlossaryProfileButton?.addEventListener('click', () => {
+    handleDeleteGlossaryProfile();
+  });
+  elements.saveGlossaryButton?.addEventListener('click', () => {
+    handleGlossarySave();
+  });
+};
+
+
+const getActiveGlossaryProfile = () => {
+  const { activeProfileId, profiles } = settingsState.glossary;
+  return profiles.find(profile => profile.id === activeProfileId) || null;
+};
+
+
+const renderGlossaryProfiles = () => {
+  const elements = getDOMElements();
+  const select = elements.glossaryProfileSelect;
+  if (!select) return;
+
+  clearElement(select);
+  appendChild(select, createElement('option', '', 'None'));
+  settingsState.glossary.profiles.forEach(profile => {
+    const option = createElement('option', '', profile.name);
+    option.value = profile.id;
+    appendChild(select, option);
+  });
+
+  const activeProfile = getActiveGlossaryProfile();
+  setValue(select, activeProfile?.id || '');
+  setValue(elements.glossaryTermsInput, activeProfile ? activeProfile.terms.join('\n') : '');
+  setValue(
+    elements.glossaryCorrectionsInput,
+    activeProfile ? formatGlossaryCorrections(activeProfile.corrections) : ''
+  );
+
+  [
+    elements.glossaryTermsInput,
+    elements.glossaryCorrectionsInput,
+    elements.saveGlossaryButton,
+    elements.deleteGlossaryProfileButton,
+  ].forEach(element => {
+    if (element) element.disabled = !activeProfile;
+  });
+};
+
+
+const updateGlossaryProfiles = async (glossary, successMessage) => {
+  try {
+    await saveGlossaryProfiles(glossary);
+    settingsState.glossary = glossary;
+    renderGlossaryProfiles();
+
+    if (successMessage) {
+      setStatus(successMessage, 'processing');
+      setTimeout(() => {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+      }, 1500);
+    }
+  } catch (error) {
+    console.error('Failed to save glossary:', error);
+    setStatus(`Failed to save glossary: ${error.message}`, 'error');
+    renderGlossaryProfiles();
+  }
+};
+
+
+const handleNewGlossaryProfile = async () => {
+  const name = prompt('Name the new glossary profile')?.trim();
+  if (!name) return;
+
+  const profile = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    terms: [],
+    corrections: [],
+  };
+  await updateGlossaryProfiles({
+    activeProfileId: profile.id,
+    profiles: [...settingsState.glossary.profiles, profile],
+  });
+  getDOMElements().glossaryTermsInput?.focus();
+};
+
+
+const handleDeleteGlossaryProfile = async () => {
+  const activeProfile = getActiveGlossaryProfile();
+  if (!activeProfile || !confirm(`Delete the glossary profile "${activeProfile.name}"?`)) return;
+
+  await updateGlossaryProfiles({
+    activeProfileId: null,
+    profiles: settingsState.glossary.profiles.filter(profile => profile !== activeProfile),
+  });
+};
+
+
+const handleGlossarySave = async () => {
+  const elements = getDOMElements();
+  const activeProfile = getActiveGlossaryProfile();
+  if (!activeProfile) return;
+
+  const updatedProfile = {
+    ...activeProfile,
+    terms: parseGlossaryTerms(getValue(elements.glossaryTermsInput)),
+    corrections: parseGlossaryCorrections(getValue(elements.glossaryCorrectionsInput)),
+  };
+  await updateGlossaryProfiles(
+    {
+      ...settingsState.glossary,
+      profiles: settingsState.glossary.profiles.map(profile =>
+        profile === activeProfile ? updatedProfile : profile
+      ),
+    },
+    'Glossary saved'
+  );
+};
+
+
+const getRedactionDetectorCheckboxes = () => {
+  const elements = getDOMElements();
+  return {
+    email: elements.redactEmailsCheckbox,
+    phone: elements.redactPhonesCheckbox,
+    card: elements.redactCardsCheckbox,
+    iban: elements.redactIbansCheckbox,
+  };
+};
+
+
+// Throws when a custom rule is not a valid regular expression
+const readRedactionForm = () => {
+  const elements = getDOMElements();
+  const checkboxes = getRedactionDetectorCheckboxes();
+  return {
+    enabled: Boolean(elements.redactionEnabledCheckbox?.checked),
+    detectors: REDACTION_CONFIG.DETECTORS.filter(detectorId => checkboxes[detectorId]?.checked),
+    mode: getValue(elements.redactionModeSelect) || REDACTION_CONFIG.DEFAULT_SETTINGS.mode,
+    customRules: parseRedactionRules(getValue(elements.redactionRulesInput)),
+  };
+};
+
+
+const fillRedactionForm = (settings = REDACTION_CONFIG.DEFAULT_SETTINGS) => {
+  const elements = getDOMElements();
+  if (elements.redactionEnabledCheckbox) {
+    elements.redactionEnabledCheckbox.checked = settings.enabled;
+  }
+  Object.entries(getRedactionDetectorCheckboxes()).forEach(([detectorId, checkbox]) => {
+    if (checkbox) checkbox.checked = settings.detectors.includes(detectorId);
+  });
+  setValue(elements.redactionModeSelect, settings.mode);
+  setValue(elements.redactionRulesInput, settings.customRules.join('\n'));
+};
+
+
+// Applies to recordings started after the change
+const bindRedactionSettings = () => {
+  const elements = getDOMElements();
+  elements.saveRedactionButton?.addEventListener('click', async () => {
+    try {
+      const settings = readRedactionForm();
+      await saveRedactionSettings(settings);
+      fillRedactionForm(settings);
+      setStatus(
+        settings.enabled ? 'Redaction settings saved' : 'Redaction settings saved (off)',
+        'processing'
+      );
+
+      setTimeout(() => {
+        setStatus(UI_CONSTANTS.STATUS_MESSAGES.IDLE, 'idle');
+      }, 1500);
+    } catch (error) {
+      console.error('Failed to save redaction settings:', error);
+      setStatus(`Failed to save redaction settings: ${error.message}`, 'error');
+    }
+  });
+};
+
+
+const setStreamingToggles = enabled => {
+  Object.values(API_PROVIDERS).forEach(config => {
+    const toggle = config.streamingToggleElementId
+      ? document.getElementById(config.streamingToggleElementId)
+      : null;
+    if (toggle) {
+      toggle.checked = enabled;
+    }
+  });
+};
+
+
+const renderFallbackList = () => {
+  const elements = getDOMElements();
+  if (!elements.fallbackProvidersList) return;
+
+  clearElement(elements.fallbackProvidersList);
+  const { fallbackOrder, enabledFallbacks } = settingsState;
+
+  fallbackOrder.forEach((providerId, index) => {
+    const item = createFallbackProviderItem(
+      API_PROVIDERS[providerId],
+      enabledFallbacks.has(providerId),
+      { isFirst: index === 0, isLast: index === fallbackOrder.length - 1 }
+    );
+    appendChild(elements.fallbackProvidersList, item);
+  });
+};
+
+
+const setFallbackProviders = providerIds => {
+  settingsState.enabledFallbacks = new Set(providerIds);
+  settingsState.fallbackOrder = [
+    ...providerIds,
+    ...Object.keys(API_PROVIDERS).filter(providerId => !providerIds.includes(providerId)),
+  ];
+  renderFallbackList();
+};
+
+
+const saveFallbackOrder = async () => {
+  const { fallbackOrder, enabledFallbacks } = settingsState;
+  try {
+    await saveFallbackProviders(
+      fallbackOrder.filter(providerId => enabledFallbacks.has(providerId))
+    );
+  } catch (error) {
+    console.error('Failed to save fallback providers:', error);
+    setStatus(`Failed to save fallback providers: ${error.message}`, 'error');
+  }
+};
+
+
+const bindFallbackList = () => {
+  const elements = getDOMElements();
+
+  elements.fallbackProvidersList?.addEventListener('change', event => {
+    const providerId = event.target.closest('.fallback-item')?.dataset.providerId;
+    if (!providerId) return;
+
+    if (event.target.checked) {
+      settingsState.enabledFallbacks.add(providerId);
+    } else {
+      settingsState.enabledFallbacks.delete(providerId);
+    }
+    saveFallbackOrder();
+  });
+
+  elements.fallbackProvidersList?.addEventListener('click', event => {
+    const button = event.target.closest('button[data-direction]');
+    const providerId = button?.closest('.fallback-item')?.dataset.providerId;
+    if (!providerId) return;
+
+    const order = [...settingsState.fallbackOrder];
+    const index = order.indexOf(providerId);
+    const targetIndex = button.dataset.direction === 'up' ? index - 1 : index + 1;
+    if (targetIndex < 0 || targetIndex >= order.length) return;
+
+    [order[index], order[targetIndex]] = [order[targetIndex], order[index]];
+    settingsState.fallbackOrder = order;
+    renderFallbackList();
+    saveFallbackOrder();
+  });
+};
+
+
 const setButtonSavingState = (buttonElement, isSaving) => {
   if (!buttonElement) return;
 
@@ -283,6 +790,40 @@ const loadApiConfiguration = async () => {
       }
     });
 
+    fillCustomEndpointForm((await getCustomEndpointSettings()) || {});
+
+    // Restore streaming and audio source preferences
+    setStreamingToggles(await getStreamingEnabled());
+    if (elements.skipSilenceCheckbox) {
+      elements.skipSilenceCheckbox.checked = await getSkipSilentSegments();
+    }
+    if (elements.mixSourcesCheckbox) {
+      elements.mixSourcesCheckbox.checked = await getMixAudioSources();
+    }
+    if (elements.showCaptionsCheckbox) {
+      elements.showCaptionsCheckbox.checked = await getShowCaptions();
+    }
+    if (elements.identifySpeakersCheckbox) {
+      elements.identifySpeakersCheckbox.checked = await getIdentifySpeakers();
+    }
+    if (elements.transcriptionLanguageSelect) {
+      setValue(elements.transcriptionLanguageSelect, await getTranscriptionLanguage());
+    }
+    if (elements.translationLanguageSelect) {
+      setValue(elements.translationLanguageSelect, (await getTranslationLanguage()) || '');
+    }
+
+    if (elements.tabDomainRulesInput) {
+      setValue(elements.tabDomainRulesInput, (await getTabDomainRules()).join(', '));
+    }
+
+    settingsState.glossary = await getGlossaryProfiles();
+    renderGlossaryProfiles();
+    fillRedactionForm(await getRedactionSettings());
+
+    // Restore fallback chain
+    setFallbackProviders(await getFallbackProviders());
+
     // Show the correct configuration panel
     showApiConfigurationPanel(currentProvider);
     setApiProvider(currentProvider);
@@ -328,6 +869,10 @@ const handleReset = async () => {
     // Clear all API configuration
     await clearAllApiKeys();
 
+    // Clear saved recordings and segments waiting to be retried
+    await clearHistory();
+    await clearPendingQueue();
+
     // Clear all input fields
     Object.values(API_PROVIDERS).forEach(config => {
       const inputElement = document.getElementById(config.inputElementId);
@@ -336,6 +881,17 @@ const handleReset = async () => {
       }
     });
 
+    fillCustomEndpointForm();
+    setStreamingToggles(false);
+
+    const domainRules = await getTabDomainRules();
+    setValue(elements.tabDomainRulesInput, domainRules.join(', '));
+    await setTabDomainRules(domainRules);
+
+    settingsState.glossary = await getGlossaryProfiles();
+    renderGlossaryProfiles();
+    fillRedactionForm();
+
     // Reset to default provider
     if (elements.apiProviderSelect) {
       setValue(elements.apiProviderSelect, 'gemini');
@@ -358,6 +914,25 @@ const handleReset = async () => {
     if (elements.microphoneCheckbox) {
       elements.microphoneCheckbox.checked = false;
     }
+    if (elements.skipSilenceCheckbox) {
+      elements.skipSilenceCheckbox.checked = true;
+    }
+    if (elements.mixSourcesCheckbox) {
+      elements.mixSourcesCheckbox.checked = false;
+    }
+    if (elements.showCaptionsCheckbox) {
+      elements.showCaptionsCheckbox.checked = false;
+    }
+    if (elements.identifySpeakersCheckbox) {
+      elements.identifySpeakersCheckbox.checked = false;
+    }
+    if (elements.transcriptionLanguageSelect) {
+      setValue(elements.transcriptionLanguageSelect, LANGUAGE_CONFIG.AUTO_DETECT);
+    }
+    if (elements.translationLanguageSelect) {
+      setValue(elements.translationLanguageSelect, '');
+    }
+    setFallbackProviders([]);
 
     // Clear application state
     clearTranscripts();
@@ -1,22 +1,23 @@
 
 
 import { UI_CONSTANTS, TIMER_CONFIG } from '../config/app-config.js';
+import { insertTranscriptInOrder } from '../utils/transcript-utils.js';
 
 
 let applicationState = {
   // Recording state
   isRecording: false,
   activeSessions: new Map(),
-  pendingTranscriptionQueue: [],
   completedTranscripts: [],
+  speakerNames: {},
+  currentHistoryId: null,
+  recordingStartedAt: null,
+  skippedSegmentCount: 0,
 
   // Timer state
   timerInterval: null,
   recordingDurationSeconds: 0,
 
-  // Tab detection state
-  tabDetectionInterval: null,
-
   // UI state
   isSettingsPanelOpen: false,
   currentApiProvider: 'gemini',
@@ -28,17 +29,18 @@ let applicationState = {
 export const resetState = () => {
   // Stop any running intervals
   stopTimer();
-  stopTabDetection();
 
   // Reset state
   applicationState = {
     isRecording: false,
     activeSessions: new Map(),
-    pendingTranscriptionQueue: [],
     completedTranscripts: [],
+    speakerNames: {},
+    currentHistoryId: null,
+    recordingStartedAt: null,
+    skippedSegmentCount: 0,
     timerInterval: null,
     recordingDurationSeconds: 0,
-    tabDetectionInterval: null,
     isSettingsPanelOpen: false,
     currentApiProvider: 'gemini',
   };
@@ -48,7 +50,6 @@ export const resetState = () => {
 export const getState = () => ({
   ...applicationState,
   activeSessions: new Map(applicationState.activeSessions),
-  pendingTranscriptionQueue: [...applicationState.pendingTranscriptionQueue],
   completedTranscripts: [...applicationState.completedTranscripts],
 });
 
@@ -105,8 +106,12 @@ export const clearSessions = () => {
 
 
 
+// Kept in capture order, so a late segment lands where it was recorded
 export const addTranscript = transcript => {
-  applicationState.completedTranscripts.push(transcript);
+  applicationState.completedTranscripts = insertTranscriptInOrder(
+    applicationState.completedTranscripts,
+    transcript
+  );
 };
 
 
@@ -130,40 +135,71 @@ export const getTranscriptCount = () => {
 };
 
 
+export const replaceTranscripts = transcripts => {
+  applicationState.completedTranscripts = [...transcripts];
+};
 
 
-export const addToPendingQueue = item => {
-  applicationState.pendingTranscriptionQueue.push(item);
+// Display names for diarized speaker labels, e.g. { 'Speaker 1': 'Alice' }, for the whole session
+export const getSpeakerNames = () => {
+  return { ...applicationState.speakerNames };
 };
 
 
-export const getPendingQueueItems = () => {
-  return applicationState.pendingTranscriptionQueue.splice(
-    0,
-    applicationState.pendingTranscriptionQueue.length
-  );
+export const setSpeakerName = (speaker, name) => {
+  applicationState.speakerNames = { ...applicationState.speakerNames, [speaker]: name };
 };
 
 
-export const hasPendingItems = () => {
-  return applicationState.pendingTranscriptionQueue.length > 0;
+export const replaceSpeakerNames = speakerNames => {
+  applicationState.speakerNames = { ...speakerNames };
 };
 
 
-export const getPendingQueueLength = () => {
-  return applicationState.pendingTranscriptionQueue.length;
+// History record that new transcripts are saved to
+export const setCurrentHistoryId = historyId => {
+  applicationState.currentHistoryId = historyId;
 };
 
 
-export const clearPendingQueue = () => {
-  applicationState.pendingTranscriptionQueue = [];
+export const getCurrentHistoryId = () => {
+  return applicationState.currentHistoryId;
 };
 
 
+// Reference point for subtitle cue times
+export const setRecordingStartedAt = startedAt => {
+  applicationState.recordingStartedAt = startedAt;
+};
 
 
-export const startTimer = updateCallback => {
-  applicationState.recordingDurationSeconds = 0;
+export const getRecordingStartedAt = () => {
+  return applicationState.recordingStartedAt;
+};
+
+
+// Segments not uploaded because voice activity detection found no speech
+export const incrementSkippedSegments = () => {
+  applicationState.skippedSegmentCount++;
+  return applicationState.skippedSegmentCount;
+};
+
+
+export const getSkippedSegmentCount = () => {
+  return applicationState.skippedSegmentCount;
+};
+
+
+export const resetSkippedSegments = () => {
+  applicationState.skippedSegmentCount = 0;
+};
+
+
+
+
+// initialSeconds lets a reopened side panel resume the clock of a running session
+export const startTimer = (updateCallback, initialSeconds = 0) => {
+  applicationState.recordingDurationSeconds = initialSeconds;
   applicationState.timerInterval = setInterval(() => {
     applicationState.recordingDurationSeconds++;
     if (updateCallback) {
@@ -200,34 +236,6 @@ export const isTimerRunning = () => {
 
 
 
-export const startTabDetection = (detectionCallback, intervalMs = 3000) => {
-  if (applicationState.tabDetectionInterval) {
-    stopTabDetection();
-  }
-
-  // Immediate detection
-  if (detectionCallback) detectionCallback();
-
-  // Periodic detection
-  applicationState.tabDetectionInterval = setInterval(detectionCallback, intervalMs);
-};
-
-
-export const stopTabDetection = () => {
-  if (applicationState.tabDetectionInterval) {
-    clearInterval(applicationState.tabDetectionInterval);
-    applicationState.tabDetectionInterval = null;
-  }
-};
-
-
-export const isTabDetectionRunning = () => {
-  return applicationState.tabDetectionInterval !== null;
-};
-
-
-
-
 export const setApiProvider = provider => {
   applicationState.currentApiProvider = provider;
 };
@@ -323,9 +331,8 @@ export const getStateSummary = () => {
     isRecording: isRecording(),
     sessionCount: getSessionCount(),
     transcriptCount: getTranscriptCount(),
-    pendingCount: getPendingQueueLength(),
+    skippedSegmentCount: getSkippedSegmentCount(),
     timerRunning: isTimerRunning(),
-    tabDetectionRunning: isTabDetectionRunning(),
     settingsPanelOpen: isSettingsPanelOpen(),
     currentProvider: getApiProvider(),
     currentStatus: getCurrentStatus(),
@@ -1,6 +1,12 @@
 
 
-import { API_PROVIDERS, STORAGE_KEYS } from '../config/app-config.js';
+import {
+  API_PROVIDERS,
+  LANGUAGE_CONFIG,
+  REDACTION_CONFIG,
+  STORAGE_KEYS,
+  TAB_REGISTRY_CONFIG,
+} from '../config/app-config.js';
 
 
 
@@ -75,10 +81,237 @@ export const getCurrentApiConfiguration = async () => {
     provider: currentProvider,
     apiKey: apiKey,
     providerConfig: API_PROVIDERS[currentProvider],
+    endpointSettings: await getEndpointSettings(currentProvider),
   };
 };
 
 
+// Base URL, model and optional auth/chat settings for the custom endpoint provider
+export const saveCustomEndpointSettings = async settings => {
+  const { settingsKeyName } = API_PROVIDERS.custom;
+  await storageSet({
+    [settingsKeyName]: {
+      baseUrl: settings.baseUrl?.trim() || '',
+      model: settings.model?.trim() || '',
+      authHeaderName: settings.authHeaderName?.trim() || '',
+      chatEndpoint: settings.chatEndpoint?.trim() || '',
+      chatModel: settings.chatModel?.trim() || '',
+    },
+  });
+};
+
+
+export const getCustomEndpointSettings = async () => {
+  const { settingsKeyName } = API_PROVIDERS.custom;
+  const result = await storageGet([settingsKeyName]);
+  return result[settingsKeyName] || null;
+};
+
+
+// Only providers that declare a settings key have endpoint settings
+const getEndpointSettings = async providerId => {
+  return API_PROVIDERS[providerId]?.settingsKeyName ? await getCustomEndpointSettings() : null;
+};
+
+
+/**
+ * Whether a provider has what it needs to make requests
+ * @param {string} providerId - Provider ID
+ * @param {string} apiKey - Saved API key, possibly empty
+ * @param {Object|null} endpointSettings - Saved endpoint settings, if the provider uses them
+ * @returns {boolean} True when the provider can be used
+ */
+export const isProviderConfigured = (providerId, apiKey, endpointSettings = null) => {
+  const provider = API_PROVIDERS[providerId];
+  if (!provider) return false;
+  if (provider.settingsKeyName && !endpointSettings?.baseUrl) return false;
+  return provider.requiresApiKey === false || Boolean(apiKey?.trim());
+};
+
+
+export const saveStreamingEnabled = async enabled => {
+  await storageSet({ [STORAGE_KEYS.STREAMING_ENABLED]: Boolean(enabled) });
+};
+
+
+export const getStreamingEnabled = async () => {
+  const result = await storageGet([STORAGE_KEYS.STREAMING_ENABLED]);
+  return result[STORAGE_KEYS.STREAMING_ENABLED] === true;
+};
+
+
+export const saveSkipSilentSegments = async enabled => {
+  await storageSet({ [STORAGE_KEYS.SKIP_SILENT_SEGMENTS]: Boolean(enabled) });
+};
+
+
+// On unless the user turned it off
+export const getSkipSilentSegments = async () => {
+  const result = await storageGet([STORAGE_KEYS.SKIP_SILENT_SEGMENTS]);
+  return result[STORAGE_KEYS.SKIP_SILENT_SEGMENTS] !== false;
+};
+
+
+export const saveMixAudioSources = async enabled => {
+  await storageSet({ [STORAGE_KEYS.MIX_AUDIO_SOURCES]: Boolean(enabled) });
+};
+
+
+export const getMixAudioSources = async () => {
+  const result = await storageGet([STORAGE_KEYS.MIX_AUDIO_SOURCES]);
+  return result[STORAGE_KEYS.MIX_AUDIO_SOURCES] === true;
+};
+
+
+// Speaker labels from providers that support diarization; off by default
+export const saveIdentifySpeakers = async enabled => {
+  await storageSet({ [STORAGE_KEYS.IDENTIFY_SPEAKERS]: Boolean(enabled) });
+};
+
+
+export const getIdentifySpeakers = async () => {
+  const result = await storageGet([STORAGE_KEYS.IDENTIFY_SPEAKERS]);
+  return result[STORAGE_KEYS.IDENTIFY_SPEAKERS] === true;
+};
+
+
+// Caption overlay on captured tabs; its look is stored per domain by the overlay itself
+export const saveShowCaptions = async enabled => {
+  await storageSet({ [STORAGE_KEYS.SHOW_CAPTIONS]: Boolean(enabled) });
+};
+
+
+export const getShowCaptions = async () => {
+  const result = await storageGet([STORAGE_KEYS.SHOW_CAPTIONS]);
+  return result[STORAGE_KEYS.SHOW_CAPTIONS] === true;
+};
+
+
+// ISO 639-1 code, or auto-detect when nothing was chosen
+export const saveTranscriptionLanguage = async language => {
+  await storageSet({ [STORAGE_KEYS.TRANSCRIPTION_LANGUAGE]: language });
+};
+
+
+export const getTranscriptionLanguage = async () => {
+  const result = await storageGet([STORAGE_KEYS.TRANSCRIPTION_LANGUAGE]);
+  return result[STORAGE_KEYS.TRANSCRIPTION_LANGUAGE] || LANGUAGE_CONFIG.AUTO_DETECT;
+};
+
+
+// Target language for live translation; null turns translation off
+export const saveTranslationLanguage = async language => {
+  await storageSet({ [STORAGE_KEYS.TRANSLATION_LANGUAGE]: language || null });
+};
+
+
+export const getTranslationLanguage = async () => {
+  const result = await storageGet([STORAGE_KEYS.TRANSLATION_LANGUAGE]);
+  return result[STORAGE_KEYS.TRANSLATION_LANGUAGE] || null;
+};
+
+
+// Domains whose tabs are listed in the picker even when silent
+export const saveTabDomainRules = async domainRules => {
+  await storageSet({ [STORAGE_KEYS.TAB_DOMAIN_RULES]: domainRules });
+};
+
+
+export const getTabDomainRules = async () => {
+  const result = await storageGet([STORAGE_KEYS.TAB_DOMAIN_RULES]);
+  return result[STORAGE_KEYS.TAB_DOMAIN_RULES] || [...TAB_REGISTRY_CONFIG.DEFAULT_DOMAIN_RULES];
+};
+
+
+// Named glossaries, e.g. one per team or customer; at most one is active
+export const saveGlossaryProfiles = async glossaryProfiles => {
+  await storageSet({ [STORAGE_KEYS.GLOSSARY_PROFILES]: glossaryProfiles });
+};
+
+
+export const getGlossaryProfiles = async () => {
+  const result = await storageGet([STORAGE_KEYS.GLOSSARY_PROFILES]);
+  return result[STORAGE_KEYS.GLOSSARY_PROFILES] || { activeProfileId: null, profiles: [] };
+};
+
+
+// Terms and corrections of the active profile; empty when none is selected
+export const getActiveGlossary = async () => {
+  const { activeProfileId, profiles } = await getGlossaryProfiles();
+  const profile = profiles.find(candidate => candidate.id === activeProfileId);
+  return { terms: profile?.terms || [], corrections: profile?.corrections || [] };
+};
+
+
+// Detectors, custom rules and replacement mode for personal data in transcripts
+export const saveRedactionSettings = async settings => {
+  await storageSet({ [STORAGE_KEYS.REDACTION_SETTINGS]: settings });
+};
+
+
+export const getRedactionSettings = async () => {
+  const result = await storageGet([STORAGE_KEYS.REDACTION_SETTINGS]);
+  return { ...REDACTION_CONFIG.DEFAULT_SETTINGS, ...result[STORAGE_KEYS.REDACTION_SETTINGS] };
+};
+
+
+// Created on first use and kept until reset, so a value hashes the same across recordings
+export const getRedactionHashSalt = async () => {
+  const result = await storageGet([STORAGE_KEYS.REDACTION_HASH_SALT]);
+  if (result[STORAGE_KEYS.REDACTION_HASH_SALT]) {
+    return result[STORAGE_KEYS.REDACTION_HASH_SALT];
+  }
+
+  const salt = crypto.randomUUID();
+  await storageSet({ [STORAGE_KEYS.REDACTION_HASH_SALT]: salt });
+  return salt;
+};
+
+
+// Ordered provider IDs to try when the selected provider fails
+export const saveFallbackProviders = async providerIds => {
+  const validIds = providerIds.filter(providerId => validateProvider(providerId));
+  await storageSet({ [STORAGE_KEYS.FALLBACK_PROVIDERS]: validIds });
+};
+
+
+export const getFallbackProviders = async () => {
+  const result = await storageGet([STORAGE_KEYS.FALLBACK_PROVIDERS]);
+  const providerIds = result[STORAGE_KEYS.FALLBACK_PROVIDERS];
+  return Array.isArray(providerIds) ? providerIds.filter(id => validateProvider(id)) : [];
+};
+
+
+// Fallbacks for the primary provider, limited to those that are configured
+export const getFallbackProviderChain = async primaryProviderId => {
+  const providerIds = await getFallbackProviders();
+  const apiKeys = await loadAllApiKeys();
+  const chain = [];
+
+  for (const providerId of providerIds) {
+    if (providerId === primaryProviderId) continue;
+
+    const endpointSettings = await getEndpointSettings(providerId);
+    if (isProviderConfigured(providerId, apiKeys[providerId], endpointSettings)) {
+      chain.push({ providerId, apiKey: apiKeys[providerId], endpointSettings });
+    }
+  }
+
+  return chain;
+};
+
+
+// Lets a local mock server stand in for the provider's live endpoint
+export const getStreamingEndpoint = async providerId => {
+  const result = await storageGet([STORAGE_KEYS.STREAMING_ENDPOINT_OVERRIDE]);
+  return (
+    result[STORAGE_KEYS.STREAMING_ENDPOINT_OVERRIDE] ||
+    API_PROVIDERS[providerId]?.streamingEndpoint ||
+    null
+  );
+};
+
+
 export const getAllApiKeys = async () => {
   const keyNames = Object.values(API_PROVIDERS).map(provider => provider.keyName);
   return await storageGet(keyNames);
@@ -88,7 +321,24 @@ export const getAllApiKeys = async () => {
 export const clearApiConfiguration = async () => {
   const keysToRemove = [
     STORAGE_KEYS.API_PROVIDER,
+    STORAGE_KEYS.STREAMING_ENABLED,
+    STORAGE_KEYS.STREAMING_ENDPOINT_OVERRIDE,
+    STORAGE_KEYS.SKIP_SILENT_SEGMENTS,
+    STORAGE_KEYS.MIX_AUDIO_SOURCES,
+    STORAGE_KEYS.FALLBACK_PROVIDERS,
+    STORAGE_KEYS.TAB_DOMAIN_RULES,
+    STORAGE_KEYS.IDENTIFY_SPEAKERS,
+    STORAGE_KEYS.TRANSCRIPTION_LANGUAGE,
+    STORAGE_KEYS.TRANSLATION_LANGUAGE,
+    STORAGE_KEYS.SHOW_CAPTIONS,
+    STORAGE_KEYS.CAPTION_OVERLAY_PREFS,
+    STORAGE_KEYS.GLOSSARY_PROFILES,
+    STORAGE_KEYS.REDACTION_SETTINGS,
+    STORAGE_KEYS.REDACTION_HASH_SALT,
     ...Object.values(API_PROVIDERS).map(provider => provider.keyName),
+    ...Object.values(API_PROVIDERS)
+      .map(provider => provider.settingsKeyName)
+      .filter(Boolean),
   ];
 
   await storageRemove(keysToRemove);
@@ -0,0 +1,139 @@
+import { API_PROVIDERS, AUDIO_CONFIG, LANGUAGE_CONFIG } from '../config/app-config.js';
+import { getDeepgramKeywords } from '../utils/glossary-utils.js';
+
+// Parse a Deepgram live "Results" message into a transcript update
+const parseDeepgramMessage = rawData => {
+  let message;
+  try {
+    message = JSON.parse(rawData);
+  } catch (error) {
+    console.warn('Failed to parse streaming message:', error);
+    return null;
+  }
+
+  if (message?.type !== 'Results') return null;
+
+  const text = message.channel?.alternatives?.[0]?.transcript?.trim() || '';
+
+  return {
+    text,
+    isFinal: Boolean(message.is_final),
+    startSeconds: message.start || 0,
+    durationSeconds: message.duration || 0,
+  };
+};
+
+// Deepgram live transcription over WebSocket
+export const openDeepgramStream = ({
+  apiKey,
+  endpoint,
+  language = LANGUAGE_CONFIG.AUTO_DETECT,
+  glossaryTerms = [],
+  onTranscript,
+  onError,
+  onClose,
+}) => {
+  const url = new URL(endpoint || API_PROVIDERS.deepgram.streamingEndpoint);
+  // Live transcription can't detect the language, so auto-detect keeps the model's default
+  if (language !== LANGUAGE_CONFIG.AUTO_DETECT) {
+    url.searchParams.set('language', language);
+  }
+  getDeepgramKeywords(glossaryTerms).forEach(keyword => {
+    url.searchParams.append('keywords', keyword);
+  });
+
+  // Browsers cannot set headers on a WebSocket, so the key travels as a subprotocol
+  const socket = new WebSocket(url, ['token', apiKey]);
+  const pendingChunks = [];
+  let keepAliveTimer = null;
+  let closeTimer = null;
+  let isClosing = false;
+  let closeSent = false;
+
+  socket.binaryType = 'arraybuffer';
+
+  // Ask the server to flush remaining results; it closes the socket once they are sent
+  const sendCloseStream = () => {
+    closeSent = true;
+    socket.send(JSON.stringify({ type: 'CloseStream' }));
+  };
+
+  socket.onopen = () => {
+    while (pendingChunks.length > 0) {
+      socket.send(pendingChunks.shift());
+    }
+    // Closed while connecting: the buffered audio has gone out, so finish now
+    if (isClosing) {
+      sendCloseStream();
+      return;
+    }
+
+    keepAliveTimer = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'KeepAlive' }));
+      }
+    }, AUDIO_CONFIG.STREAM_KEEPALIVE_MS);
+  };
+
+  socket.onmessage = event => {
+    const update = parseDeepgramMessage(event.data);
+    if (update && onTranscript) {
+      onTranscript(update);
+    }
+  };
+
+  socket.onerror = () => {
+    if (!isClosing && onError) {
+      onError(new Error('Streaming connection error'));
+    }
+  };
+
+  socket.onclose = event => {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+    clearTimeout(closeTimer);
+
+    if (onClose) {
+      onClose({ code: event.code, reason: event.reason, wasRequested: isClosing });
+    }
+  };
+
+  const send = chunk => {
+    if (!chunk || closeSent) return;
+
+    if (socket.readyState === WebSocket.CONNECTING) {
+      pendingChunks.push(chunk);
+    } else if (socket.readyState === WebSocket.OPEN) {
+      socket.send(chunk);
+    }
+  };
+
+  // Audio sent or buffered so far is still transcribed; a server that never closes the
+  // socket after CloseStream is cut off
+  const close = () => {
+    if (isClosing) return;
+    isClosing = true;
+
+    if (socket.readyState === WebSocket.OPEN) {
+      sendCloseStream();
+    }
+    if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+      closeTimer = setTimeout(() => socket.close(), AUDIO_CONFIG.STREAM_CLOSE_TIMEOUT_MS);
+    }
+  };
+
+  return { send, close };
+};
+
+// Get streaming function for provider
+export const getStreamingFunction = providerId => {
+  const streamingFunctions = {
+    deepgram: openDeepgramStream,
+  };
+
+  return streamingFunctions[providerId] || null;
+};
+
+export const isStreamingSupported = providerId => {
+  return Boolean(API_PROVIDERS[providerId]?.streamingEndpoint);
+};
@@ -0,0 +1,180 @@
+import { TAB_REGISTRY_CONFIG } from '../config/app-config.js';
+
+
+// Tabs currently shown in the picker, kept in sync by chrome.tabs events
+let registryState = {
+  tabs: new Map(),
+  domainRules: [],
+  isPinned: () => false,
+  onTabChanged: null,
+  onTabRemoved: null,
+  listeners: null,
+};
+
+
+// "https://Meet.Google.com/abc" and "*.zoom.us" become "meet.google.com" and "zoom.us"
+export const normalizeDomainRule = rule => {
+  return String(rule || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^\*\./, '')
+    .split(/[/:?#]/)[0];
+};
+
+
+export const parseDomainRules = text => {
+  const rules = String(text || '')
+    .split(/[\s,]+/)
+    .map(normalizeDomainRule)
+    .filter(Boolean);
+  return [...new Set(rules)];
+};
+
+
+// A rule matches its own host and any subdomain of it
+export const matchesDomainRules = (url, domainRules) => {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  return domainRules.some(rule => hostname === rule || hostname.endsWith(`.${rule}`));
+};
+
+
+export const isTabRelevant = (tab, domainRules = registryState.domainRules) => {
+  return Boolean(tab.audible) || matchesDomainRules(tab.url, domainRules);
+};
+
+
+
+
+// Show, update or drop one tab; pinned tabs (selected or recording) stay once shown
+const reconcileTab = tab => {
+  const isShown = registryState.tabs.has(tab.id);
+
+  if (isTabRelevant(tab) || (isShown && registryState.isPinned(tab.id))) {
+    registryState.tabs.set(tab.id, tab);
+    registryState.onTabChanged?.(tab);
+  } else if (isShown) {
+    registryState.tabs.delete(tab.id);
+    registryState.onTabRemoved?.(tab.id);
+  }
+};
+
+
+const handleTabUpdated = (tabId, changeInfo, tab) => {
+  const hasRelevantChange = TAB_REGISTRY_CONFIG.WATCHED_TAB_FIELDS.some(
+    field => field in changeInfo
+  );
+  if (hasRelevantChange) {
+    reconcileTab(tab);
+  }
+};
+
+
+const handleTabRemoved = tabId => {
+  if (registryState.tabs.delete(tabId)) {
+    registryState.onTabRemoved?.(tabId);
+  }
+};
+
+
+// Only the active flag changes, for the newly active tab and the one it replaced
+const handleTabActivated = async ({ tabId, windowId }) => {
+  registryState.tabs.forEach(tab => {
+    if (tab.windowId === windowId && tab.active && tab.id !== tabId) {
+      const deactivated = { ...tab, active: false };
+      registryState.tabs.set(tab.id, deactivated);
+      registryState.onTabChanged?.(deactivated);
+    }
+  });
+
+  try {
+    reconcileTab(await chrome.tabs.get(tabId));
+  } catch {
+    // The tab closed before it could be read; onRemoved handles it
+  }
+};
+
+
+/**
+ * Query all tabs once, then follow chrome.tabs events to keep the picker current
+ * @param {Object} options - Registry options
+ * @param {Array<string>} options.domainRules - Domains whose tabs are listed even when silent
+ * @param {Function} options.isPinned - tabId => true to keep a shown tab that stopped being relevant
+ * @param {Function} options.onTabChanged - Called with a tab to add or update in the list
+ * @param {Function} options.onTabRemoved - Called with a tabId to remove from the list
+ */
+export const startTabRegistry = async ({ domainRules, isPinned, onTabChanged, onTabRemoved }) => {
+  stopTabRegistry();
+
+  registryState.domainRules = domainRules;
+  registryState.isPinned = isPinned || (() => false);
+  registryState.onTabChanged = onTabChanged;
+  registryState.onTabRemoved = onTabRemoved;
+  registryState.listeners = {
+    updated: handleTabUpdated,
+    removed: handleTabRemoved,
+    activated: handleTabActivated,
+  };
+
+  chrome.tabs.onUpdated.addListener(registryState.listeners.updated);
+  chrome.tabs.onRemoved.addListener(registryState.listeners.removed);
+  chrome.tabs.onActivated.addListener(registryState.listeners.activated);
+
+  await syncTabRegistry();
+};
+
+
+export const stopTabRegistry = () => {
+  if (!registryState.listeners) return;
+
+  chrome.tabs.onUpdated.removeListener(registryState.listeners.updated);
+  chrome.tabs.onRemoved.removeListener(registryState.listeners.removed);
+  chrome.tabs.onActivated.removeListener(registryState.listeners.activated);
+  registryState.listeners = null;
+  registryState.tabs.clear();
+};
+
+
+// Full pass over all tabs, for startup and whenever the rules or pins change
+export const syncTabRegistry = async () => {
+  const tabs = await chrome.tabs.query({});
+  const openTabIds = new Set(tabs.map(tab => tab.id));
+
+  Array.from(registryState.tabs.keys())
+    .filter(tabId => !openTabIds.has(tabId))
+    .forEach(handleTabRemoved);
+
+  tabs.forEach(tab => {
+    // A pinned tab is listed even if it was never shown, e.g. a silent tab still being recorded
+    if (!registryState.tabs.has(tab.id) && registryState.isPinned(tab.id)) {
+      registryState.tabs.set(tab.id, tab);
+    }
+    reconcileTab(tab);
+  });
+};
+
+
+export const setTabDomainRules = async domainRules => {
+  registryState.domainRules = domainRules;
+  if (registryState.listeners) {
+    await syncTabRegistry();
+  }
+};
+
+
+// Re-check one shown tab, e.g. after it was deselected
+export const refreshRegisteredTab = tabId => {
+  const tab = registryState.tabs.get(tabId);
+  if (tab) {
+    reconcileTab(tab);
+  }
+};
+
+
+export const getRegisteredTabs = () => Array.from(registryState.tabs.values());
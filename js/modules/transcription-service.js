@@ -1,5 +1,19 @@
-import { API_PROVIDERS, AUDIO_CONFIG } from '../config/app-config.js';
+import {
+  API_PROVIDERS,
+  AUDIO_CONFIG,
+  GLOSSARY_CONFIG,
+  LANGUAGE_CONFIG,
+  SUMMARY_CONFIG,
+  buildCustomEndpointUrl,
+} from '../config/app-config.js';
 import { base64ToBlob } from '../utils/audio-utils.js';
+import { chunkTextByTokens, estimateTokens, mergeSpeakerTurns } from '../utils/transcript-utils.js';
+import { getDeepgramKeywords } from '../utils/glossary-utils.js';
+import {
+  buildMeetingNotesInstructions,
+  parseMeetingNotes,
+  mergeMeetingNotes,
+} from '../utils/meeting-notes-utils.js';
 
 export const transcribeWithRetry = async (
   transcriptionFn,
@@ -17,32 +31,61 @@ export const summaryWithRetry = async (
   return await retryApiCall(() => summaryFn(textData), maxAttempts);
 };
 
+/**
+ * Common result of every transcribeWith* function
+ * @param {Object} fields - What the provider reported
+ * @param {string} fields.text - Full transcript
+ * @param {string} fields.provider - Provider ID
+ * @param {Array<{word: string, start: number, end: number, confidence: number|null}>} [fields.words] - Word timings in seconds from the segment start
+ * @param {string|null} [fields.language] - Language the provider detected or was told
+ * @param {Array<{speaker: string, text: string}>} [fields.utterances] - Speaker turns, when diarized
+ * @returns {Object} Transcription result with every field present
+ */
+export const createTranscriptionResult = ({
+  text,
+  provider,
+  words = [],
+  language = null,
+  utterances = [],
+}) => ({ text, provider, words, language, utterances });
+
+// Summaries resolve to plain strings
+const normalizeTranscription = output => {
+  return typeof output === 'string' ? { text: output } : createTranscriptionResult(output);
+};
+
 // Retry with exponential backoff
 const retryApiCall = async (apiCall, maxAttempts) => {
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      const text = await apiCall();
       return {
         success: true,
-        text,
+        ...normalizeTranscription(await apiCall()),
         error: null,
         isFatal: false,
       };
     } catch (error) {
       const isFatal = error.isFatal || false;
       const isTransient = isTransientError(error);
+      const isQuota = isQuotaError(error);
+      const retryAfterMs = error.retryAfterMs ?? null;
+      const delay = calculateBackoffDelay(attempt);
 
-      if (attempt >= maxAttempts || isFatal || !isTransient) {
+      // Quota errors won't clear up within the backoff window, so give up right away;
+      // so do servers asking for a longer wait, which the pending queue honors instead
+      if (attempt >= maxAttempts || isFatal || isQuota || !isTransient || retryAfterMs > delay) {
         return {
           success: false,
           text: null,
           error: error.message || 'Unknown error',
           isFatal,
+          isTransient,
+          isQuota,
+          retryAfterMs,
         };
       }
 
       // Wait before retry with exponential backoff
-      const delay = calculateBackoffDelay(attempt);
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -52,11 +95,15 @@ const retryApiCall = async (apiCall, maxAttempts) => {
     text: null,
     error: 'Maximum retry attempts exceeded',
     isFatal: false,
+    isTransient: true,
+    isQuota: false,
   };
 };
 
 // Check if error can be retried
 const isTransientError = error => {
+  if (error?.status >= 500) return true;
+
   const transientPatterns = [
     /failed to fetch/i,
     /network/i,
@@ -69,6 +116,27 @@ const isTransientError = error => {
   return transientPatterns.some(pattern => pattern.test(errorMessage));
 };
 
+// Rate limits and exhausted quotas
+const isQuotaError = error => {
+  if (error?.status === 429) return true;
+
+  const quotaPatterns = [/quota/i, /rate.?limit/i, /resource.?exhausted/i, /too many requests/i];
+  const errorMessage = String(error?.message || '');
+  return quotaPatterns.some(pattern => pattern.test(errorMessage));
+};
+
+// Retry-After is either delay-seconds or an HTTP date
+const getRetryAfterMs = response => {
+  const value = response.headers?.get('Retry-After');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
 const calculateBackoffDelay = attempt => {
   // 1.5s, 3s, 6s, etc.
   return 1500 * Math.pow(2, attempt - 1);
@@ -83,19 +151,25 @@ const safeJsonParse = async response => {
   }
 };
 
+// Callers may replace the default instructions, e.g. to ask for structured JSON
+const buildSummaryPrompt = (text, instructions) => {
+  return instructions
+    ? `${instructions}\n\n${text}`
+    : `Summarize the following content:\n${text}\nRespond with only the summary.`;
+};
+
 // Google Gemini API text summarization
-export const summarizeTextWithGemini = async ({ text, apiKey }) => {
+export const summarizeTextWithGemini = async ({ text, apiKey, instructions, expectJson }) => {
   const config = API_PROVIDERS.gemini;
   const endpoint = `${config.endpoint}?key=${apiKey}`;
 
   const payload = {
     contents: [
       {
-        parts: [
-          { text: `Summarize the following content:\n${text}\nRespond with only the summary.` },
-        ],
+        parts: [{ text: buildSummaryPrompt(text, instructions) }],
       },
     ],
+    ...(expectJson && { generationConfig: { responseMimeType: 'application/json' } }),
   };
 
   const response = await fetch(endpoint, {
@@ -109,7 +183,7 @@ export const summarizeTextWithGemini = async ({ text, apiKey }) => {
     const status = (errorInfo?.error?.status || '').toUpperCase();
     const message = errorInfo?.error?.message || `HTTP ${response.status}`;
     const isFatal = isGeminiFatalError(status, response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
@@ -122,36 +196,32 @@ export const summarizeTextWithGemini = async ({ text, apiKey }) => {
   return summary;
 };
 
-// OpenAI text summarization
-export const summarizeTextWithOpenAI = async ({ text, apiKey }) => {
-  const config = API_PROVIDERS.openai;
+// Chat completion request shared by OpenAI-compatible endpoints
+const requestChatSummary = async ({ endpoint, model, headers, text, instructions, jsonMode }) => {
   const payload = {
-    model: 'gpt-4o-mini',
+    model,
     messages: [
       { role: 'system', content: 'You are a helpful assistant.' },
-      {
-        role: 'user',
-        content: `Summarize the following content:\n${text}\nRespond with only the summary.`,
-      },
+      { role: 'user', content: buildSummaryPrompt(text, instructions) },
     ],
     temperature: 0.5,
+    ...(jsonMode && { response_format: { type: 'json_object' } }),
   };
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
+  const response = await fetch(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
+      ...headers,
     },
     body: JSON.stringify(payload),
   });
-  console.log('response: ', response);
 
   if (!response.ok) {
     const errorInfo = await safeJsonParse(response);
     const message = errorInfo?.error?.message || `HTTP ${response.status}`;
     const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
@@ -164,9 +234,25 @@ export const summarizeTextWithOpenAI = async ({ text, apiKey }) => {
   return summary;
 };
 
+// OpenAI text summarization
+export const summarizeTextWithOpenAI = async ({ text, apiKey, instructions, expectJson }) => {
+  return await requestChatSummary({
+    endpoint: 'https://api.openai.com/v1/chat/completions',
+    model: 'gpt-4o-mini',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    text,
+    instructions,
+    jsonMode: expectJson,
+  });
+};
+
 // Deepgram text summarization (assumed endpoint)
-export const summarizeTextWithDeepgram = async ({ text, apiKey }) => {
+export const summarizeTextWithDeepgram = async ({ text, apiKey, instructions }) => {
   // Deepgram usually does not support direct text summarization, this is an assumed endpoint
+  if (instructions) {
+    throw { message: 'Deepgram does not accept custom summary instructions', isFatal: true };
+  }
+
   const config = API_PROVIDERS.deepgram;
   const endpoint = config.textSummaryEndpoint || 'https://api.deepgram.com/v1/summarize';
 
@@ -185,7 +271,7 @@ export const summarizeTextWithDeepgram = async ({ text, apiKey }) => {
     const errorInfo = await safeJsonParse(response);
     const message = errorInfo?.err_msg || `HTTP ${response.status}`;
     const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
@@ -199,60 +285,121 @@ export const summarizeTextWithDeepgram = async ({ text, apiKey }) => {
 };
 
 // Fireworks text summarization
-export const summarizeTextWithFireworks = async ({ text, apiKey }) => {
+export const summarizeTextWithFireworks = async ({ text, apiKey, instructions }) => {
   const config = API_PROVIDERS.fireworks;
-  const endpoint = config.chatEndpoint || 'https://api.fireworks.ai/v1/chat/completions';
-
-  const payload = {
+  return await requestChatSummary({
+    endpoint: config.chatEndpoint || 'https://api.fireworks.ai/v1/chat/completions',
     model: config.model,
-    messages: [
-      { role: 'system', content: 'You are a helpful assistant.' },
-      {
-        role: 'user',
-        content: `Summarize the following content:\n${text}\nRespond with only the summary.`,
-      },
-    ],
-    temperature: 0.5,
-  };
-
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify(payload),
+    headers: { Authorization: `Bearer ${apiKey}` },
+    text,
+    instructions,
   });
+};
 
-  if (!response.ok) {
-    const errorInfo = await safeJsonParse(response);
-    const message = errorInfo?.error?.message || `HTTP ${response.status}`;
-    const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
+// Custom endpoint summarization, only when a chat endpoint is configured
+export const summarizeTextWithCustom = async ({ text, apiKey, endpointSettings, instructions }) => {
+  if (!endpointSettings?.chatEndpoint) {
+    throw { message: 'No chat endpoint configured for the custom provider', isFatal: true };
   }
 
-  const data = await response.json();
-  const summary = data?.choices?.[0]?.message?.content?.trim();
+  return await requestChatSummary({
+    endpoint: endpointSettings.chatEndpoint,
+    model: endpointSettings.chatModel || endpointSettings.model,
+    headers: buildCustomAuthHeaders(endpointSettings, apiKey),
+    text,
+    instructions,
+  });
+};
 
-  if (!summary) {
-    throw { message: 'Empty summary response', isFatal: true };
+// Providers report either a code ("de") or, for Whisper, a name ("german")
+const normalizeLanguage = reported => {
+  if (!reported) return null;
+
+  const value = reported.toLowerCase();
+  const code = Object.keys(LANGUAGE_CONFIG.LANGUAGES).find(
+    candidate => LANGUAGE_CONFIG.LANGUAGES[candidate].toLowerCase() === value
+  );
+  return code || value;
+};
+
+// What the provider detected, or else the language it was told to expect
+const resolveLanguage = (reported, requested) => {
+  if (reported) return normalizeLanguage(reported);
+  return requested && requested !== LANGUAGE_CONFIG.AUTO_DETECT ? requested : null;
+};
+
+const GEMINI_DIARIZATION_PROMPT =
+  'Transcribe this audio. Start a new line whenever the speaker changes, formatted as ' +
+  '"Speaker N: text", numbering speakers in order of appearance.';
+
+const GEMINI_DETECT_LANGUAGE_PROMPT =
+  'Write the speech in the language it is spoken, without translating. Begin with the ' +
+  'ISO 639-1 code of that language in square brackets, e.g. [de], then the transcript.';
+
+const GEMINI_GLOSSARY_PROMPT =
+  'These names and terms may be spoken; spell them exactly as written here:';
+
+const buildGeminiPrompt = ({ diarize, language, glossaryTerms = [] }) => {
+  const base = diarize ? GEMINI_DIARIZATION_PROMPT : 'Transcribe this audio to plain text.';
+  const languageName = LANGUAGE_CONFIG.LANGUAGES[language];
+  const languageInstruction = languageName
+    ? `The speech is in ${languageName}; write it in ${languageName} without translating.`
+    : GEMINI_DETECT_LANGUAGE_PROMPT;
+  const glossaryInstruction =
+    glossaryTerms.length > 0 ? ` ${GEMINI_GLOSSARY_PROMPT} ${glossaryTerms.join('; ')}.` : '';
+  return `${base} ${languageInstruction}${glossaryInstruction} Respond with only the transcript.`;
+};
+
+// Whisper continues the style and spelling of its prompt, so a list of terms biases it towards them
+const buildWhisperPrompt = glossaryTerms => {
+  let prompt = '';
+  for (const term of glossaryTerms) {
+    const next = prompt ? `${prompt}, ${term}` : term;
+    if (next.length > GLOSSARY_CONFIG.MAX_PROMPT_CHARS) break;
+    prompt = next;
   }
+  return prompt ? `Glossary: ${prompt}.` : '';
+};
 
-  return summary;
+// The "[de]" prefix asked for when auto-detecting; the model may leave it out
+const parseLanguageTag = text => {
+  const match = text.match(/^\s*\[([a-z]{2,3})\]\s*/i);
+  if (!match) return { text, language: null };
+  return { text: text.slice(match[0].length), language: match[1] };
+};
+
+// "Speaker N: text" lines; unlabelled lines continue the previous speaker's turn.
+// Asterisks are dropped since the model sometimes bolds the labels.
+const parseSpeakerLines = text => {
+  const utterances = [];
+  text.split('\n').forEach(line => {
+    const match = line.replace(/\*/g, '').match(/^\s*speaker\s*(\d+)\s*:\s*(.*)$/i);
+    if (match) {
+      utterances.push({ speaker: `Speaker ${match[1]}`, text: match[2] });
+    } else if (utterances.length > 0) {
+      utterances[utterances.length - 1].text += ` ${line}`;
+    }
+  });
+  return mergeSpeakerTurns(utterances);
 };
 
 // Google Gemini API
-export const transcribeWithGemini = async ({ base64, mimeType, apiKey }) => {
+export const transcribeWithGemini = async ({
+  base64,
+  mimeType,
+  apiKey,
+  diarize,
+  language = LANGUAGE_CONFIG.AUTO_DETECT,
+  glossaryTerms = [],
+}) => {
   const config = API_PROVIDERS.gemini;
   const endpoint = `${config.endpoint}?key=${apiKey}`;
+  const prompt = buildGeminiPrompt({ diarize, language, glossaryTerms });
 
   const payload = {
     contents: [
       {
-        parts: [
-          { text: 'Transcribe this audio to plain text. Respond with only the transcript.' },
-          { inlineData: { mimeType, data: base64 } },
-        ],
+        parts: [{ text: prompt }, { inlineData: { mimeType, data: base64 } }],
       },
     ],
   };
@@ -269,17 +416,29 @@ export const transcribeWithGemini = async ({ base64, mimeType, apiKey }) => {
     const message = errorInfo?.error?.message || `HTTP ${response.status}`;
 
     const isFatal = isGeminiFatalError(status, response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
+  const tagged = parseLanguageTag(data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || '');
+  const text = tagged.text.trim();
 
   if (!text) {
     throw { message: 'Empty transcription response', isFatal: true };
   }
 
-  return text;
+  // The model may ignore the format; the text is still usable without speakers
+  const utterances = diarize ? parseSpeakerLines(text) : [];
+  const detectedLanguage = resolveLanguage(tagged.language, language);
+  if (utterances.length === 0) {
+    return createTranscriptionResult({ text, provider: 'gemini', language: detectedLanguage });
+  }
+  return createTranscriptionResult({
+    text: utterances.map(utterance => utterance.text).join(' '),
+    provider: 'gemini',
+    language: detectedLanguage,
+    utterances,
+  });
 };
 
 // Check if Gemini error is fatal
@@ -296,17 +455,54 @@ const isGeminiFatalError = (status, httpStatus) => {
   return fatalStatuses.includes(status) || fatalHttpCodes.includes(httpStatus);
 };
 
-// OpenAI Whisper API
-export const transcribeWithOpenAI = async ({ base64, mimeType, apiKey }) => {
-  const config = API_PROVIDERS.openai;
+// Whisper reports confidence per segment; words inherit it unless the server gives a probability
+const getWhisperWords = data => {
+  const segments = data.segments || [];
+  return (data.words || []).map(({ word, start, end, probability }) => {
+    const segment = segments.find(candidate => start >= candidate.start && start < candidate.end);
+    const segmentConfidence =
+      typeof segment?.avg_logprob === 'number' ? Math.exp(segment.avg_logprob) : null;
+    return { word: word.trim(), start, end, confidence: probability ?? segmentConfidence };
+  });
+};
+
+// Multipart request shared by OpenAI-compatible /v1/audio/transcriptions endpoints
+const requestWhisperTranscription = async ({
+  providerId,
+  endpoint,
+  model,
+  headers,
+  base64,
+  mimeType,
+  wordTimestamps = false,
+  language = LANGUAGE_CONFIG.AUTO_DETECT,
+  glossaryTerms = [],
+}) => {
   const audioBlob = base64ToBlob(base64, mimeType);
   const formData = new FormData();
-  formData.append('file', audioBlob, 'audio.webm');
-  formData.append('model', config.model);
+  // These APIs detect the format from the file extension
+  const extension = mimeType.split(/[/;]/)[1] || 'webm';
+  formData.append('file', audioBlob, `audio.${extension}`);
+  if (model) {
+    formData.append('model', model);
+  }
+  // Whisper detects the language itself when none is given
+  if (language !== LANGUAGE_CONFIG.AUTO_DETECT) {
+    formData.append('language', language);
+  }
+  const prompt = buildWhisperPrompt(glossaryTerms);
+  if (prompt) {
+    formData.append('prompt', prompt);
+  }
+  if (wordTimestamps) {
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'word');
+    formData.append('timestamp_granularities[]', 'segment');
+  }
 
-  const response = await fetch(config.endpoint, {
+  const response = await fetch(endpoint, {
     method: 'POST',
-    headers: { Authorization: `Bearer ${apiKey}` },
+    headers,
     body: formData,
   });
 
@@ -314,7 +510,7 @@ export const transcribeWithOpenAI = async ({ base64, mimeType, apiKey }) => {
     const errorInfo = await safeJsonParse(response);
     const message = errorInfo?.error?.message || `HTTP ${response.status}`;
     const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
@@ -324,15 +520,59 @@ export const transcribeWithOpenAI = async ({ base64, mimeType, apiKey }) => {
     throw { message: 'Empty transcription response', isFatal: true };
   }
 
-  return text;
+  return createTranscriptionResult({
+    text,
+    provider: providerId,
+    words: getWhisperWords(data),
+    language: resolveLanguage(data.language, language),
+  });
+};
+
+// OpenAI Whisper API
+export const transcribeWithOpenAI = async ({
+  base64,
+  mimeType,
+  apiKey,
+  language,
+  glossaryTerms,
+}) => {
+  const config = API_PROVIDERS.openai;
+  return await requestWhisperTranscription({
+    providerId: config.id,
+    endpoint: config.endpoint,
+    model: config.model,
+    headers: { Authorization: `Bearer ${apiKey}` },
+    base64,
+    mimeType,
+    wordTimestamps: config.wordTimestamps,
+    language,
+    glossaryTerms,
+  });
 };
 
 // Deepgram API
-export const transcribeWithDeepgram = async ({ base64, mimeType, apiKey }) => {
+export const transcribeWithDeepgram = async ({
+  base64,
+  mimeType,
+  apiKey,
+  diarize,
+  language = LANGUAGE_CONFIG.AUTO_DETECT,
+  glossaryTerms = [],
+}) => {
   const config = API_PROVIDERS.deepgram;
   const audioBlob = base64ToBlob(base64, mimeType);
+  const languageParams =
+    language === LANGUAGE_CONFIG.AUTO_DETECT
+      ? config.detectLanguageParams
+      : `&language=${language}`;
+  const keywordParams = getDeepgramKeywords(glossaryTerms)
+    .map(keyword => `&keywords=${encodeURIComponent(keyword)}`)
+    .join('');
+  const endpoint =
+    `${config.endpoint}${languageParams}${keywordParams}` +
+    (diarize ? config.diarizationParams : '');
 
-  const response = await fetch(config.endpoint, {
+  const response = await fetch(endpoint, {
     method: 'POST',
     headers: {
       Authorization: `Token ${apiKey}`,
@@ -345,48 +585,100 @@ export const transcribeWithDeepgram = async ({ base64, mimeType, apiKey }) => {
     const errorInfo = await safeJsonParse(response);
     const message = errorInfo?.err_msg || `HTTP ${response.status}`;
     const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
+    throw { message, isFatal, status: response.status, retryAfterMs: getRetryAfterMs(response) };
   }
 
   const data = await response.json();
-  const text = data?.results?.channels?.[0]?.alternatives?.[0]?.transcript?.trim();
+  const channel = data?.results?.channels?.[0];
+  const alternative = channel?.alternatives?.[0];
+  const text = alternative?.transcript?.trim();
 
   if (!text) {
     throw { message: 'Empty transcription response', isFatal: true };
   }
 
-  return text;
+  const words = (alternative.words || []).map(word => ({
+    word: word.punctuated_word || word.word,
+    start: word.start,
+    end: word.end,
+    confidence: word.confidence ?? null,
+  }));
+  const detectedLanguage = resolveLanguage(channel.detected_language, language);
+
+  // Speakers are numbered from 0 within each request
+  const utterances = mergeSpeakerTurns(
+    (data.results.utterances || []).map(utterance => ({
+      speaker: `Speaker ${utterance.speaker + 1}`,
+      text: utterance.transcript,
+    }))
+  );
+  if (!diarize || utterances.length === 0) {
+    return createTranscriptionResult({
+      text,
+      provider: 'deepgram',
+      words,
+      language: detectedLanguage,
+    });
+  }
+  return createTranscriptionResult({
+    text: utterances.map(utterance => utterance.text).join(' '),
+    provider: 'deepgram',
+    words,
+    language: detectedLanguage,
+    utterances,
+  });
 };
 
 // Fireworks AI API
-export const transcribeWithFireworks = async ({ base64, mimeType, apiKey }) => {
+export const transcribeWithFireworks = async ({
+  base64,
+  mimeType,
+  apiKey,
+  language,
+  glossaryTerms,
+}) => {
   const config = API_PROVIDERS.fireworks;
-  const audioBlob = base64ToBlob(base64, mimeType);
-  const formData = new FormData();
-  formData.append('file', audioBlob, 'audio.webm');
-  formData.append('model', config.model);
-
-  const response = await fetch(config.endpoint, {
-    method: 'POST',
+  return await requestWhisperTranscription({
+    providerId: config.id,
+    endpoint: config.endpoint,
+    model: config.model,
     headers: { Authorization: `Bearer ${apiKey}` },
-    body: formData,
+    base64,
+    mimeType,
+    wordTimestamps: config.wordTimestamps,
+    language,
+    glossaryTerms,
   });
+};
 
-  if (!response.ok) {
-    const errorInfo = await safeJsonParse(response);
-    const message = errorInfo?.error?.message || `HTTP ${response.status}`;
-    const isFatal = [400, 401, 403].includes(response.status);
-    throw { message, isFatal };
-  }
-
-  const data = await response.json();
-  const text = data?.text?.trim();
+const buildCustomAuthHeaders = (endpointSettings, apiKey) => {
+  if (!apiKey) return {};
+  return { [endpointSettings.authHeaderName || 'Authorization']: apiKey };
+};
 
-  if (!text) {
-    throw { message: 'Empty transcription response', isFatal: true };
+// Self-hosted or third-party OpenAI-compatible endpoint
+export const transcribeWithCustom = async ({
+  base64,
+  mimeType,
+  apiKey,
+  endpointSettings,
+  language,
+  glossaryTerms,
+}) => {
+  if (!endpointSettings?.baseUrl) {
+    throw { message: 'Custom endpoint base URL is not configured', isFatal: true };
   }
 
-  return text;
+  return await requestWhisperTranscription({
+    providerId: API_PROVIDERS.custom.id,
+    endpoint: buildCustomEndpointUrl(endpointSettings.baseUrl),
+    model: endpointSettings.model,
+    headers: buildCustomAuthHeaders(endpointSettings, apiKey),
+    base64,
+    mimeType,
+    language,
+    glossaryTerms,
+  });
 };
 
 // Get transcription function for provider
@@ -396,6 +688,7 @@ export const getTranscriptionFunction = providerId => {
     openai: transcribeWithOpenAI,
     deepgram: transcribeWithDeepgram,
     fireworks: transcribeWithFireworks,
+    custom: transcribeWithCustom,
   };
 
   const transcriptionFn = transcriptionFunctions[providerId];
@@ -412,6 +705,7 @@ export const getSummaryFunction = providerId => {
     openai: summarizeTextWithOpenAI,
     deepgram: summarizeTextWithDeepgram,
     fireworks: summarizeTextWithFireworks,
+    custom: summarizeTextWithCustom,
   };
 
   const summarizeFn = summarizeFunctions[providerId];
@@ -445,6 +739,19 @@ export const isProviderSupported = providerId => {
   return Object.prototype.hasOwnProperty.call(API_PROVIDERS, providerId);
 };
 
+/**
+ * Check if provider has a text model that follows instructions, as translation needs
+ * @param {string} providerId - Provider ID
+ * @param {Object|null} endpointSettings - Saved endpoint settings, if the provider uses them
+ * @returns {boolean} Whether transcripts can be translated with the provider
+ */
+export const supportsTranslation = (providerId, endpointSettings = null) => {
+  const provider = API_PROVIDERS[providerId];
+  if (provider?.supportsTextInstructions === false) return false;
+  // Endpoint providers only have a text model once a chat endpoint is set
+  return !provider?.settingsKeyName || Boolean(endpointSettings?.chatEndpoint?.trim());
+};
+
 /**
  * Validate provider ID
  * @param {string} providerId - Provider ID to validate
@@ -470,18 +777,23 @@ let transcriptionManagerState = {
   currentProvider: null,
   transcriptionFunction: null,
   summaryFunction: null,
+  fallbackProviders: [],
 };
 
 /**
  * Set current transcription provider
  * @param {string} providerId - Provider ID
+ * @param {Array<{providerId: string, apiKey: string}>} fallbackProviders - Ordered providers to try when the current one fails
  */
-export const setTranscriptionProvider = providerId => {
+export const setTranscriptionProvider = (providerId, fallbackProviders = []) => {
   validateProvider(providerId);
 
   transcriptionManagerState.currentProvider = providerId;
   transcriptionManagerState.transcriptionFunction = getTranscriptionFunction(providerId);
   transcriptionManagerState.summaryFunction = getSummaryFunction(providerId);
+  transcriptionManagerState.fallbackProviders = fallbackProviders.filter(
+    fallback => fallback.providerId !== providerId && isProviderSupported(fallback.providerId)
+  );
 };
 
 /**
@@ -492,8 +804,33 @@ export const getCurrentProvider = () => {
   return transcriptionManagerState.currentProvider;
 };
 
+// Errors worth retrying on a different provider
+const shouldFailOver = result => !result.success && (result.isTransient || result.isQuota);
+
 /**
- * Transcribe with current provider
+ * Transcribe with each provider in order until one succeeds
+ * @param {Object} audioData - Audio data without an API key
+ * @param {Array<{providerId: string, apiKey: string, endpointSettings?: Object}>} providerChain - Providers to try, in order
+ * @returns {Promise<Object>} Transcription result including the provider that produced it
+ */
+export const transcribeWithProviderChain = async (audioData, providerChain) => {
+  let result = null;
+
+  for (const { providerId, apiKey, endpointSettings } of providerChain) {
+    const transcriptionFn = getTranscriptionFunction(providerId);
+    result = {
+      ...(await transcribeWithRetry(transcriptionFn, { ...audioData, apiKey, endpointSettings })),
+      provider: providerId,
+    };
+
+    if (!shouldFailOver(result)) break;
+  }
+
+  return result;
+};
+
+/**
+ * Transcribe with current provider, falling back to the configured chain
  * @param {Object} audioData - Audio data
  * @returns {Promise<Object>} Transcription result
  */
@@ -502,7 +839,15 @@ export const transcribeWithCurrentProvider = async audioData => {
     throw new Error('No transcription service configured');
   }
 
-  return await transcribeWithRetry(transcriptionManagerState.transcriptionFunction, audioData);
+  const { currentProvider, fallbackProviders } = transcriptionManagerState;
+  return await transcribeWithProviderChain(audioData, [
+    {
+      providerId: currentProvider,
+      apiKey: audioData.apiKey,
+      endpointSettings: audioData.endpointSettings,
+    },
+    ...fallbackProviders,
+  ]);
 };
 
 /**
@@ -518,6 +863,129 @@ export const summaryWithCurrentProvider = async text => {
   return await summaryWithRetry(transcriptionManagerState.summaryFunction, text);
 };
 
+const buildTranslationInstructions = languageName =>
+  `Translate the following transcript into ${languageName}. Keep names, numbers and the ` +
+  "speaker's tone. If it is already in that language, return it unchanged. " +
+  'Respond with only the translation.';
+
+/**
+ * Translate one transcript with the current provider's text model, as used for summaries
+ * @param {string} text - Transcript text
+ * @param {string} targetLanguage - ISO 639-1 code from LANGUAGE_CONFIG.LANGUAGES
+ * @param {Object} textData - Provider credentials ({ apiKey, endpointSettings })
+ * @returns {Promise<Object>} Result whose text is the translation
+ */
+export const translateWithCurrentProvider = async (text, targetLanguage, textData) => {
+  if (!transcriptionManagerState.summaryFunction) {
+    throw new Error('No translation service configured');
+  }
+
+  const languageName = LANGUAGE_CONFIG.LANGUAGES[targetLanguage] || targetLanguage;
+  return await summaryWithRetry(transcriptionManagerState.summaryFunction, {
+    ...textData,
+    text,
+    instructions: buildTranslationInstructions(languageName),
+  });
+};
+
+// Keep channel labels so summaries can attribute who said what
+const buildTranscriptBlocks = transcripts => {
+  const labels = new Set(transcripts.map(transcript => transcript.label));
+  return transcripts.map(transcript =>
+    labels.size > 1 ? `${transcript.label}: ${transcript.text}` : transcript.text
+  );
+};
+
+/**
+ * Summarize transcripts of any length: summarize token-bounded chunks, then the summaries
+ * @param {Array<Object>} transcripts - Transcripts in order, as returned by getTranscripts()
+ * @param {Object} textData - Provider credentials ({ apiKey, endpointSettings })
+ * @param {Function} [onProgress] - Called with { level, completed, total } before each request
+ * @returns {Promise<Object>} Summary result, with the number of requests made
+ */
+export const summarizeTranscripts = async (transcripts, textData, onProgress = () => {}) => {
+  if (!transcriptionManagerState.summaryFunction) {
+    throw new Error('No summary service configured');
+  }
+
+  let blocks = buildTranscriptBlocks(transcripts);
+  let requestCount = 0;
+
+  for (let level = 1; level <= SUMMARY_CONFIG.MAX_REDUCE_LEVELS; level++) {
+    const chunks = chunkTextByTokens(blocks);
+    const summaries = [];
+
+    for (const [index, chunk] of chunks.entries()) {
+      onProgress({ level, completed: index, total: chunks.length });
+
+      const result = await summaryWithRetry(transcriptionManagerState.summaryFunction, {
+        ...textData,
+        text: chunk,
+      });
+      requestCount++;
+
+      if (!result.success) {
+        return { ...result, requestCount };
+      }
+      summaries.push(result.text);
+    }
+
+    if (summaries.length === 1) {
+      return { success: true, text: summaries[0], error: null, isFatal: false, requestCount };
+    }
+
+    blocks = summaries.map((summary, index) => `Part ${index + 1}: ${summary}`);
+  }
+
+  // Summaries kept growing past the budget; stop rather than loop forever
+  return {
+    success: false,
+    text: null,
+    error: `Summary still exceeds ~${estimateTokens(blocks.join('\n'))} tokens after ${SUMMARY_CONFIG.MAX_REDUCE_LEVELS} passes`,
+    isFatal: true,
+    requestCount,
+  };
+};
+
+/**
+ * Extract structured meeting notes, one request per token-bounded chunk, merged locally
+ * @param {Array<Object>} transcripts - Transcripts in order, as returned by getTranscripts()
+ * @param {Object} textData - Provider credentials ({ apiKey, endpointSettings })
+ * @param {Function} [onProgress] - Called with { completed, total } before each request
+ * @returns {Promise<Object>} Result whose notes field holds the validated notes on success
+ */
+export const generateMeetingNotes = async (transcripts, textData, onProgress = () => {}) => {
+  if (!transcriptionManagerState.summaryFunction) {
+    throw new Error('No summary service configured');
+  }
+
+  const chunks = chunkTextByTokens(buildTranscriptBlocks(transcripts));
+  const notesList = [];
+
+  for (const [index, chunk] of chunks.entries()) {
+    onProgress({ completed: index, total: chunks.length });
+
+    const result = await summaryWithRetry(transcriptionManagerState.summaryFunction, {
+      ...textData,
+      text: chunk,
+      instructions: buildMeetingNotesInstructions(),
+      expectJson: true,
+    });
+
+    if (!result.success) {
+      return { ...result, notes: null };
+    }
+
+    try {
+      notesList.push(parseMeetingNotes(result.text));
+    } catch (error) {
+      return { success: false, notes: null, error: error.message, isFatal: true };
+    }
+  }
+
+  return { success: true, notes: mergeMeetingNotes(notesList), error: null, isFatal: false };
+};
+
 /**
  * Reset transcription manager state
  */
@@ -526,6 +994,7 @@ export const resetTranscriptionManager = () => {
     currentProvider: null,
     transcriptionFunction: null,
     summaryFunction: null,
+    fallbackProviders: [],
   };
 };
 
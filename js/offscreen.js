@@ -0,0 +1,78 @@
+import { MESSAGE_TARGETS, MESSAGE_TYPES } from './config/app-config.js';
+import {
+  initializeRecordingEngine,
+  getRecordingState,
+  startEngineRecording,
+  stopEngineRecording,
+  addEngineTab,
+  removeEngineTab,
+  setEngineMicrophone,
+  clearEngineTranscripts,
+  transcribeEngineFile,
+  resumePendingQueue,
+  retryPendingSegments,
+  discardPendingSegments,
+} from './modules/recording-engine.js';
+
+const messageHandlers = {
+  [MESSAGE_TYPES.START_RECORDING]: message => startEngineRecording(message),
+  [MESSAGE_TYPES.STOP_RECORDING]: () => stopEngineRecording(),
+  [MESSAGE_TYPES.ADD_TAB]: message => addEngineTab(message.tab, message.tabErrors),
+  [MESSAGE_TYPES.REMOVE_TAB]: message => removeEngineTab(message.tabId),
+  [MESSAGE_TYPES.SET_MICROPHONE]: message => setEngineMicrophone(message.enabled),
+  [MESSAGE_TYPES.GET_RECORDING_STATE]: () => getRecordingState(),
+  [MESSAGE_TYPES.CLEAR_TRANSCRIPTS]: () => clearEngineTranscripts(),
+  [MESSAGE_TYPES.TRANSCRIBE_FILE]: message => transcribeEngineFile(message),
+  [MESSAGE_TYPES.RESUME_PENDING_QUEUE]: message => resumePendingQueue(message),
+  [MESSAGE_TYPES.RETRY_PENDING]: message => retryPendingSegments(message),
+  [MESSAGE_TYPES.DISCARD_PENDING]: message => discardPendingSegments(message),
+};
+
+// Events go to whichever side panel is open; none being open is fine
+const emitRecordingEvent = (event, payload) => {
+  chrome.runtime
+    .sendMessage({
+      target: MESSAGE_TARGETS.SIDE_PANEL,
+      type: MESSAGE_TYPES.RECORDING_EVENT,
+      event,
+      ...payload,
+    })
+    .catch(() => {});
+};
+
+// Only the service worker can message tabs, so captions go through it
+const sendCaption = caption => {
+  chrome.runtime
+    .sendMessage({
+      target: MESSAGE_TARGETS.SERVICE_WORKER,
+      type: MESSAGE_TYPES.SHOW_CAPTION,
+      ...caption,
+    })
+    .catch(() => {});
+};
+
+// Resolves to { tabId, time, url }, or null when the tab has no video or can't be scripted
+const getMediaTime = async tabId => {
+  const response = await chrome.runtime
+    .sendMessage({
+      target: MESSAGE_TARGETS.SERVICE_WORKER,
+      type: MESSAGE_TYPES.GET_MEDIA_TIME,
+      tabId,
+    })
+    .catch(() => null);
+  return response?.success ? response.state : null;
+};
+
+initializeRecordingEngine({ emit: emitRecordingEvent, sendCaption, getMediaTime });
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== MESSAGE_TARGETS.OFFSCREEN) return false;
+
+  const handler = messageHandlers[message.type];
+  if (!handler) return false;
+
+  Promise.resolve(handler(message))
+    .then(state => sendResponse({ success: true, state }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
+});
@@ -0,0 +1,264 @@
+// Pure encoders for mono PCM; used from the encoder worker, so no DOM access here
+
+
+
+
+const floatToInt16 = samples => {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const clamped = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+  }
+  return pcm;
+};
+
+
+// 16-bit PCM WAV
+export const encodeWav = (samples, sampleRate) => {
+  const pcm = floatToInt16(samples);
+  const buffer = new ArrayBuffer(44 + pcm.length * 2);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + pcm.length * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, pcm.length * 2, true);
+
+  pcm.forEach((sample, index) => view.setInt16(44 + index * 2, sample, true));
+  return buffer;
+};
+
+
+
+
+// MSB-first bit writer that grows as needed
+const createBitWriter = (initialBytes = 1024) => {
+  let bytes = new Uint8Array(initialBytes);
+  let bytePosition = 0;
+  let bitPosition = 0; // bits already used in bytes[bytePosition]
+
+  const ensureCapacity = extraBytes => {
+    if (bytePosition + extraBytes < bytes.length) return;
+    const grown = new Uint8Array(Math.max(bytes.length * 2, bytePosition + extraBytes + 1));
+    grown.set(bytes);
+    bytes = grown;
+  };
+
+  const writeBits = (value, count) => {
+    ensureCapacity(Math.ceil(count / 8) + 1);
+    for (let shift = count - 1; shift >= 0; shift--) {
+      const bit = Math.floor(value / 2 ** shift) & 1;
+      bytes[bytePosition] |= bit << (7 - bitPosition);
+      if (++bitPosition === 8) {
+        bitPosition = 0;
+        bytePosition++;
+      }
+    }
+  };
+
+  // q zero bits followed by a one
+  const writeUnary = q => {
+    ensureCapacity(Math.ceil((q + 1) / 8) + 1);
+    bitPosition += q;
+    bytePosition += Math.floor(bitPosition / 8);
+    bitPosition %= 8;
+    writeBits(1, 1);
+  };
+
+  const alignToByte = () => {
+    if (bitPosition > 0) {
+      bitPosition = 0;
+      bytePosition++;
+    }
+  };
+
+  return {
+    writeBits,
+    writeUnary,
+    alignToByte,
+    getBytePosition: () => bytePosition,
+    getBytes: () => bytes.subarray(0, bytePosition + (bitPosition > 0 ? 1 : 0)),
+  };
+};
+
+
+const crc8 = (bytes, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+};
+
+
+const crc16 = (bytes, start, end) => {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i] << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+};
+
+
+// Frame numbers use the same variable-length coding as UTF-8
+const writeUtf8Number = (writer, value) => {
+  if (value < 0x80) {
+    writer.writeBits(value, 8);
+    return;
+  }
+
+  const continuationBytes = value < 0x800 ? 1 : value < 0x10000 ? 2 : value < 0x200000 ? 3 : 4;
+  const leadingOnes = 0xff00 >> (continuationBytes + 1);
+  writer.writeBits((leadingOnes & 0xff) | Math.floor(value / 2 ** (6 * continuationBytes)), 8);
+  for (let i = continuationBytes - 1; i >= 0; i--) {
+    writer.writeBits(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8);
+  }
+};
+
+
+// Residuals of the fixed polynomial predictors of order 0-4
+const getFixedResiduals = (block, order) => {
+  const residuals = new Int32Array(block.length - order);
+  for (let i = order; i < block.length; i++) {
+    let prediction = 0;
+    if (order === 1) prediction = block[i - 1];
+    if (order === 2) prediction = 2 * block[i - 1] - block[i - 2];
+    if (order === 3) prediction = 3 * block[i - 1] - 3 * block[i - 2] + block[i - 3];
+    if (order === 4) {
+      prediction = 4 * block[i - 1] - 6 * block[i - 2] + 4 * block[i - 3] - block[i - 4];
+    }
+    residuals[i - order] = block[i] - prediction;
+  }
+  return residuals;
+};
+
+
+const getRiceParameter = residuals => {
+  let sum = 0;
+  residuals.forEach(residual => {
+    sum += Math.abs(residual);
+  });
+  const mean = residuals.length > 0 ? sum / residuals.length : 0;
+  return Math.max(0, Math.min(14, Math.floor(Math.log2(mean + 1))));
+};
+
+
+const writeSubframe = (writer, block) => {
+  if (block.every(sample => sample === block[0])) {
+    writer.writeBits(0, 8); // pad bit, CONSTANT type, no wasted bits
+    writer.writeBits(block[0] & 0xffff, 16);
+    return;
+  }
+
+  // Pick the predictor whose residuals are smallest
+  const maxOrder = Math.min(4, block.length - 1);
+  let best = null;
+  for (let order = 0; order <= maxOrder; order++) {
+    const residuals = getFixedResiduals(block, order);
+    const cost = residuals.reduce((sum, residual) => sum + Math.abs(residual), 0);
+    if (!best || cost < best.cost) {
+      best = { order, residuals, cost };
+    }
+  }
+
+  writer.writeBits(0, 1);
+  writer.writeBits(0b001000 | best.order, 6); // FIXED
+  writer.writeBits(0, 1); // no wasted bits
+  for (let i = 0; i < best.order; i++) {
+    writer.writeBits(block[i] & 0xffff, 16);
+  }
+
+  // Rice coding, one partition
+  const parameter = getRiceParameter(best.residuals);
+  writer.writeBits(0, 2);
+  writer.writeBits(0, 4);
+  writer.writeBits(parameter, 4);
+  best.residuals.forEach(residual => {
+    const folded = residual >= 0 ? residual * 2 : -residual * 2 - 1;
+    writer.writeUnary(Math.floor(folded / 2 ** parameter));
+    if (parameter > 0) {
+      writer.writeBits(folded % 2 ** parameter, parameter);
+    }
+  });
+};
+
+
+/**
+ * Encode mono samples as 16-bit FLAC using fixed predictors
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} blockSize - Samples per frame
+ * @returns {ArrayBuffer} A complete .flac file
+ */
+export const encodeFlac = (samples, sampleRate, blockSize = 4096) => {
+  const pcm = floatToInt16(samples);
+  const writer = createBitWriter(64 + pcm.length * 2);
+
+  writer.writeBits(0x664c6143, 32); // "fLaC"
+
+  // STREAMINFO, the only (and so last) metadata block
+  writer.writeBits(1, 1);
+  writer.writeBits(0, 7);
+  writer.writeBits(34, 24);
+  const streamBlockSize = Math.min(blockSize, pcm.length);
+  writer.writeBits(streamBlockSize, 16); // the shorter last block doesn't count
+  writer.writeBits(streamBlockSize, 16);
+  writer.writeBits(0, 24); // min frame size unknown
+  writer.writeBits(0, 24); // max frame size unknown
+  writer.writeBits(sampleRate, 20);
+  writer.writeBits(0, 3); // one channel
+  writer.writeBits(15, 5); // 16 bits per sample
+  writer.writeBits(pcm.length, 36);
+  for (let i = 0; i < 4; i++) {
+    writer.writeBits(0, 32); // MD5 left unset
+  }
+
+  for (let start = 0, frame = 0; start < pcm.length; start += blockSize, frame++) {
+    const block = pcm.subarray(start, Math.min(start + blockSize, pcm.length));
+    const frameStart = writer.getBytePosition();
+
+    writer.writeBits(0b11111111111110, 14); // sync code
+    writer.writeBits(0, 2); // reserved, fixed block size
+    writer.writeBits(0b0111, 4); // block size in 16 bits after the header
+    writer.writeBits(0b0000, 4); // sample rate from STREAMINFO
+    writer.writeBits(0b0000, 4); // mono
+    writer.writeBits(0b100, 3); // 16 bits per sample
+    writer.writeBits(0, 1);
+    writeUtf8Number(writer, frame);
+    writer.writeBits(block.length - 1, 16);
+    writer.writeBits(crc8(writer.getBytes(), frameStart, writer.getBytePosition()), 8);
+
+    writeSubframe(writer, block);
+    writer.alignToByte();
+    writer.writeBits(crc16(writer.getBytes(), frameStart, writer.getBytePosition()), 16);
+  }
+
+  return writer.getBytes().slice().buffer;
+};
+
+
+export const encodeAudio = (samples, sampleRate, format) => {
+  if (format === 'flac') return encodeFlac(samples, sampleRate);
+  if (format === 'wav') return encodeWav(samples, sampleRate);
+  throw new Error(`Unsupported audio format: ${format}`);
+};
@@ -1,6 +1,11 @@
 
 
-import { UI_CONSTANTS } from '../config/app-config.js';
+import {
+  AUDIO_CONFIG,
+  AUDIO_ENCODING_CONFIG,
+  UI_CONSTANTS,
+  VAD_CONFIG,
+} from '../config/app-config.js';
 
 
 
@@ -135,6 +140,156 @@ export const setupAudioPlayback = (sessionId, stream, enablePlayback = true) =>
 };
 
 
+// Analysis-only graph for sessions without playback (e.g. microphone, to avoid echo)
+export const setupAudioAnalysis = (sessionId, stream) => {
+  try {
+    const audioContext = createAudioContext(sessionId);
+    const source = audioContext.createMediaStreamSource(stream);
+    return { audioContext, source, gainNode: null };
+  } catch (error) {
+    console.warn('Failed to setup audio analysis:', error);
+    return null;
+  }
+};
+
+
+const measureLevelDb = samples => {
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumSquares += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sumSquares / samples.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+};
+
+
+/**
+ * Energy-based voice activity detector tapping an existing source node
+ * @param {{audioContext: AudioContext, source: AudioNode}} graph - Session audio graph
+ * @returns {Object} Detector with startWindow/endWindow for overlapping segment windows
+ */
+export const createVoiceActivityDetector = ({ audioContext, source }) => {
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = VAD_CONFIG.FFT_SIZE;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  const windows = new Map();
+  let nextWindowId = 0;
+
+  if (audioContext.state === 'suspended') {
+    audioContext.resume().catch(error => {
+      console.warn('Failed to resume audio context for VAD:', error);
+    });
+  }
+
+  const sampleTimer = setInterval(() => {
+    // A suspended context reads as silence, so those frames are not counted
+    if (windows.size === 0 || audioContext.state !== 'running') return;
+
+    analyser.getFloatTimeDomainData(samples);
+    const isSpeech = measureLevelDb(samples) > VAD_CONFIG.ENERGY_THRESHOLD_DB;
+
+    windows.forEach(activity => {
+      activity.frames++;
+      if (isSpeech) activity.speechFrames++;
+    });
+  }, VAD_CONFIG.SAMPLE_INTERVAL_MS);
+
+  const startWindow = () => {
+    const windowId = nextWindowId++;
+    windows.set(windowId, { frames: 0, speechFrames: 0 });
+    return windowId;
+  };
+
+  const endWindow = windowId => {
+    const activity = windows.get(windowId) || { frames: 0, speechFrames: 0 };
+    windows.delete(windowId);
+
+    const hasEnoughData = activity.frames >= VAD_CONFIG.MIN_FRAMES;
+    const speechRatio = activity.frames > 0 ? activity.speechFrames / activity.frames : 0;
+
+    return {
+      ...activity,
+      speechRatio,
+      isSilent: hasEnoughData && speechRatio < VAD_CONFIG.MIN_SPEECH_RATIO,
+    };
+  };
+
+  const stop = () => {
+    clearInterval(sampleTimer);
+    windows.clear();
+    try {
+      analyser.disconnect();
+    } catch (error) {
+      console.warn('Failed to disconnect VAD analyser:', error);
+    }
+  };
+
+  return { startWindow, endWindow, stop };
+};
+
+
+/**
+ * Mix several capture streams into one recordable stream
+ * @param {string} sessionId - Session that owns the shared audio context
+ * @returns {Object} Mixer with addInput/removeInput and the mixed output stream
+ */
+export const createAudioMixer = sessionId => {
+  const audioContext = createAudioContext(sessionId);
+  const mixBus = audioContext.createGain();
+  const destination = audioContext.createMediaStreamDestination();
+  const inputs = new Map();
+
+  mixBus.connect(destination);
+
+  const addInput = (inputId, stream, { label = inputId, playback = false } = {}) => {
+    if (inputs.has(inputId)) return;
+
+    const source = audioContext.createMediaStreamSource(stream);
+    source.connect(mixBus);
+
+    // Captured tabs are muted, so route them to the speakers as well
+    if (playback) {
+      source.connect(audioContext.destination);
+    }
+
+    inputs.set(inputId, { stream, source, label });
+  };
+
+  const removeInput = inputId => {
+    const input = inputs.get(inputId);
+    if (!input) return;
+
+    try {
+      input.source.disconnect();
+    } catch (error) {
+      console.warn('Failed to disconnect mixer input:', error);
+    }
+    stopStream(input.stream);
+    inputs.delete(inputId);
+  };
+
+  const stop = () => {
+    Array.from(inputs.keys()).forEach(removeInput);
+    mixBus.disconnect();
+  };
+
+  return {
+    audioContext,
+    // Exposed as the graph's source so analysis taps the mixed signal
+    source: mixBus,
+    stream: destination.stream,
+    addInput,
+    removeInput,
+    hasInput: inputId => inputs.has(inputId),
+    getInputIds: () => Array.from(inputs.keys()),
+    getLabels: () => Array.from(inputs.values()).map(input => input.label),
+    stop,
+  };
+};
+
+
 export const setVolume = (sessionId, volume) => {
   const audioContext = audioContexts.get(sessionId);
   if (audioContext && audioContext.gainNode) {
@@ -166,27 +321,22 @@ export const closeAllAudioContexts = async () => {
 
 
 
-export const captureTabAudio = async tabId => {
-  // Get tab information
-  const tabInfo = await chrome.tabs.get(tabId);
-
-  // Focus the target tab (Chrome requirement for capture)
-  await chrome.windows.update(tabInfo.windowId, { focused: true });
-  await chrome.tabs.update(tabId, { active: true });
-
-  // Brief delay for tab activation
-  await new Promise(resolve => setTimeout(resolve, 200));
-
-  // Capture tab audio
-  return new Promise((resolve, reject) => {
-    chrome.tabCapture.capture({ audio: true, video: false }, stream => {
-      if (chrome.runtime.lastError || !stream) {
-        reject(new Error(chrome.runtime.lastError?.message || 'Tab capture failed'));
-        return;
-      }
-      resolve(stream);
+// Stream IDs come from chrome.tabCapture.getMediaStreamId in the service worker
+export const captureTabAudio = async streamId => {
+  try {
+    return await navigator.mediaDevices.getUserMedia({
+      audio: {
+        mandatory: {
+          chromeMediaSource: 'tab',
+          chromeMediaSourceId: streamId,
+        },
+      },
+      video: false,
     });
-  });
+  } catch (error) {
+    console.error('Tab capture failed:', error);
+    throw new Error(`Tab capture failed: ${error.message}`);
+  }
 };
 
 
@@ -269,3 +419,125 @@ export const downloadAudioFile = (blob, filename = 'audio.webm') => {
   document.body.removeChild(a);
   revokeAudioURL(url);
 };
+
+
+
+
+/**
+ * Decode an audio or video file to mono samples
+ * @param {ArrayBuffer} arrayBuffer - File contents
+ * @param {number} sampleRate - Output sample rate; decodeAudioData resamples to the context's rate
+ * @returns {Promise<Float32Array>} Mono samples at sampleRate
+ */
+export const decodeAudioFile = async (arrayBuffer, sampleRate) => {
+  const audioContext = new AudioContext({ sampleRate });
+  try {
+    const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+    const mono = new Float32Array(audioBuffer.length);
+
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        mono[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+    return mono;
+  } finally {
+    await audioContext.close();
+  }
+};
+
+
+let encoderState = {
+  worker: null,
+  nextRequestId: 0,
+  pendingRequests: new Map(),
+};
+
+
+const getEncoderWorker = () => {
+  if (encoderState.worker) return encoderState.worker;
+
+  const worker = new Worker(chrome.runtime.getURL(AUDIO_ENCODING_CONFIG.WORKER_PATH), {
+    type: 'module',
+  });
+
+  worker.onmessage = ({ data: { id, buffer, error } }) => {
+    const request = encoderState.pendingRequests.get(id);
+    if (!request) return;
+
+    encoderState.pendingRequests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(buffer);
+    }
+  };
+
+  // A crashed worker fails everything in flight; the next request starts a fresh one
+  worker.onerror = event => {
+    encoderState.pendingRequests.forEach(request => {
+      request.reject(new Error(event.message || 'Audio encoder worker failed'));
+    });
+    encoderState.pendingRequests.clear();
+    encoderState.worker = null;
+    worker.terminate();
+  };
+
+  encoderState.worker = worker;
+  return worker;
+};
+
+
+/**
+ * Encode mono samples in the encoder worker
+ * @param {Float32Array} samples - Mono samples at AUDIO_ENCODING_CONFIG.SAMPLE_RATE
+ * @param {string} format - 'wav' or 'flac'
+ * @returns {Promise<Blob>} Encoded audio with the matching MIME type
+ */
+export const encodeSamples = (samples, format) => {
+  const mimeType = AUDIO_ENCODING_CONFIG.MIME_TYPES[format];
+  if (!mimeType) {
+    return Promise.reject(new Error(`Unsupported audio format: ${format}`));
+  }
+
+  // Copy so only this segment is transferred, not a whole file's buffer
+  const copy = samples.slice();
+  const id = ++encoderState.nextRequestId;
+
+  return new Promise((resolve, reject) => {
+    encoderState.pendingRequests.set(id, { resolve, reject });
+    getEncoderWorker().postMessage(
+      { id, samples: copy, sampleRate: AUDIO_ENCODING_CONFIG.SAMPLE_RATE, format },
+      [copy.buffer]
+    );
+  }).then(buffer => new Blob([buffer], { type: mimeType }));
+};
+
+
+// Decode a MediaRecorder segment, downmix to 16 kHz mono and encode it for upload
+export const encodeAudioBlob = async (blob, format) => {
+  const samples = await decodeAudioFile(
+    await blob.arrayBuffer(),
+    AUDIO_ENCODING_CONFIG.SAMPLE_RATE
+  );
+  return await encodeSamples(samples, format);
+};
+
+
+/**
+ * Split a duration into the same overlapping windows live recording uses
+ * @param {number} totalMs - Length of the audio
+ * @returns {Array<{offsetMs: number, durationMs: number}>} Windows starting every STEP_MS
+ */
+export const getSegmentWindows = totalMs => {
+  const overlapMs = AUDIO_CONFIG.DURATION_MS - AUDIO_CONFIG.STEP_MS;
+  const windows = [];
+
+  for (let offsetMs = 0; offsetMs < totalMs; offsetMs += AUDIO_CONFIG.STEP_MS) {
+    // A tail shorter than the overlap was already covered by the previous window
+    if (offsetMs > 0 && totalMs - offsetMs <= overlapMs) break;
+    windows.push({ offsetMs, durationMs: Math.min(AUDIO_CONFIG.DURATION_MS, totalMs - offsetMs) });
+  }
+  return windows;
+};
@@ -1,3 +1,8 @@
+import { CONFIDENCE_CONFIG, LANGUAGE_CONFIG, UI_CONSTANTS } from '../config/app-config.js';
+import { tokenizeTranscript } from './transcript-utils.js';
+import { formatPlaybackTime } from './subtitle-utils.js';
+
+
 // DOM elements cache
 let domElements = {};
 
@@ -12,35 +17,86 @@ export const initializeDOMElements = () => {
 
     // Control Buttons
     summaryButton: document.getElementById('summaryBtn'),
+    meetingNotesButton: document.getElementById('notesBtn'),
     copyButton: document.getElementById('copyBtn'),
     downloadTextButton: document.getElementById('downloadTxtBtn'),
+    downloadFormatSelect: document.getElementById('downloadFormat'),
+    transcriptViewSelect: document.getElementById('transcriptView'),
     clearButton: document.getElementById('clearBtn'),
 
     // Audio Source Controls
     microphoneCheckbox: document.getElementById('useMic'),
+    skipSilenceCheckbox: document.getElementById('skipSilence'),
+    mixSourcesCheckbox: document.getElementById('mixSources'),
+    showCaptionsCheckbox: document.getElementById('showCaptions'),
+    identifySpeakersCheckbox: document.getElementById('identifySpeakers'),
+    transcriptionLanguageSelect: document.getElementById('transcriptionLanguage'),
+    translationLanguageSelect: document.getElementById('translationLanguage'),
+    fileDropZone: document.getElementById('fileDropZone'),
+    fileInput: document.getElementById('fileInput'),
+    fileDropLabel: document.getElementById('fileDropLabel'),
+    fileProgress: document.getElementById('fileProgress'),
+    tabDomainRulesInput: document.getElementById('tabDomainRules'),
+    saveTabDomainRulesButton: document.getElementById('saveTabDomainRulesBtn'),
+    glossaryProfileSelect: document.getElementById('glossaryProfile'),
+    newGlossaryProfileButton: document.getElementById('newGlossaryProfileBtn'),
+    deleteGlossaryProfileButton: document.getElementById('deleteGlossaryProfileBtn'),
+    glossaryTermsInput: document.getElementById('glossaryTerms'),
+    glossaryCorrectionsInput: document.getElementById('glossaryCorrections'),
+    saveGlossaryButton: document.getElementById('saveGlossaryBtn'),
+    redactionEnabledCheckbox: document.getElementById('redactionEnabled'),
+    redactEmailsCheckbox: document.getElementById('redactEmails'),
+    redactPhonesCheckbox: document.getElementById('redactPhones'),
+    redactCardsCheckbox: document.getElementById('redactCards'),
+    redactIbansCheckbox: document.getElementById('redactIbans'),
+    redactionModeSelect: document.getElementById('redactionMode'),
+    redactionRulesInput: document.getElementById('redactionRules'),
+    saveRedactionButton: document.getElementById('saveRedactionBtn'),
     tabsList: document.getElementById('tabsList'),
 
+    // Retry Queue
+    pendingQueue: document.getElementById('pendingQueue'),
+    pendingQueueCount: document.getElementById('pendingQueueCount'),
+    pendingQueueList: document.getElementById('pendingQueueList'),
+    retryAllPendingButton: document.getElementById('retryAllPendingBtn'),
+
     // Settings Panel
     settingsButton: document.getElementById('settingsBtn'),
     settingsPanel: document.getElementById('settingsPanel'),
     closeSettingsButton: document.getElementById('closeSettings'),
     resetButton: document.getElementById('resetBtn'),
 
+    // History Panel
+    historyButton: document.getElementById('historyBtn'),
+    historyPanel: document.getElementById('historyPanel'),
+    closeHistoryButton: document.getElementById('closeHistory'),
+    historyList: document.getElementById('historyList'),
+
     // API Configuration
     apiProviderSelect: document.getElementById('apiProvider'),
     apiConfigContainer: document.getElementById('apiConfigContainer'),
+    fallbackProvidersList: document.getElementById('fallbackProviders'),
 
     // API Key Inputs
     geminiApiKeyInput: document.getElementById('geminiApiKey'),
     openaiApiKeyInput: document.getElementById('openaiApiKey'),
     deepgramApiKeyInput: document.getElementById('deepgramApiKey'),
     fireworksApiKeyInput: document.getElementById('fireworksApiKey'),
+    customApiKeyInput: document.getElementById('customApiKey'),
+
+    // Custom Endpoint Settings
+    customBaseUrlInput: document.getElementById('customBaseUrl'),
+    customModelInput: document.getElementById('customModel'),
+    customAuthHeaderInput: document.getElementById('customAuthHeader'),
+    customChatEndpointInput: document.getElementById('customChatEndpoint'),
+    customChatModelInput: document.getElementById('customChatModel'),
 
     // Save Buttons
     saveGeminiKeyButton: document.getElementById('saveGeminiKeyBtn'),
     saveOpenaiKeyButton: document.getElementById('saveOpenaiKeyBtn'),
     saveDeepgramKeyButton: document.getElementById('saveDeepgramKeyBtn'),
     saveFireworksKeyButton: document.getElementById('saveFireworksKeyBtn'),
+    saveCustomKeyButton: document.getElementById('saveCustomKeyBtn'),
 
     // Transcription Controls
     transcriptionControls: document.querySelector('.transcription-controls'),
@@ -165,14 +221,118 @@ export const createElement = (tag, className = '', textContent = '') => {
 };
 
 
-export const createTranscriptionItem = (timestamp, channelLabel, text) => {
+// Appends text, wrapping words the provider was unsure of; returns the next unused word
+const appendScoredText = (parent, text, words, firstWordIndex) => {
+  if (words.length === 0) {
+    parent.appendChild(document.createTextNode(text));
+    return firstWordIndex;
+  }
+
+  let wordIndex = firstWordIndex;
+  let plainText = '';
+  text.split(/(\s+)/).forEach(part => {
+    if (!part.trim()) {
+      plainText += part;
+      return;
+    }
+
+    const { confidence } = words[wordIndex++];
+    if (confidence === null || confidence >= CONFIDENCE_CONFIG.LOW_WORD_CONFIDENCE) {
+      plainText += part;
+      return;
+    }
+
+    parent.appendChild(document.createTextNode(plainText));
+    plainText = '';
+    const wordSpan = createElement('span', UI_CONSTANTS.CSS_CLASSES.LOW_CONFIDENCE, part);
+    wordSpan.title = `Low confidence (${Math.round(confidence * 100)}%)`;
+    parent.appendChild(wordSpan);
+  });
+  parent.appendChild(document.createTextNode(plainText));
+
+  return wordIndex;
+};
+
+
+// Diarized transcripts render one line per speaker turn instead of the plain text.
+// Word confidence is only shown when the words line up one-to-one with the displayed text.
+// Lines captured from a tab with a video carry its playback time and seek it when clicked.
+// A translation follows the original; the display's view class decides which ones show.
+export const createTranscriptionItem = (
+  timestamp,
+  channelLabel,
+  text,
+  {
+    utterances = [],
+    words = [],
+    language = null,
+    media = null,
+    translation = null,
+    speakerNames = {},
+  } = {}
+) => {
   const container = createElement('p', 'transcription-item');
   const timestampSpan = createElement('span', 'ts', timestamp);
   const channelSpan = createElement('span', 'chan', channelLabel);
 
   container.appendChild(timestampSpan);
   container.appendChild(channelSpan);
-  container.appendChild(document.createTextNode(text));
+
+  if (media) {
+    container.classList.add(UI_CONSTANTS.CSS_CLASSES.SEEKABLE);
+    container.dataset.mediaTabId = media.tabId;
+    container.dataset.mediaTime = media.time;
+    container.dataset.mediaUrl = media.url;
+    container.title = 'Click to play the video from here';
+    container.appendChild(
+      createElement('span', UI_CONSTANTS.CSS_CLASSES.MEDIA_TIME, formatPlaybackTime(media.time))
+    );
+  }
+
+  if (language) {
+    const languageSpan = createElement(
+      'span',
+      UI_CONSTANTS.CSS_CLASSES.LANGUAGE,
+      language.toUpperCase()
+    );
+    languageSpan.title = LANGUAGE_CONFIG.LANGUAGES[language] || language;
+    container.appendChild(languageSpan);
+  }
+
+  const body = createElement('span', UI_CONSTANTS.CSS_CLASSES.TRANSCRIPT_TEXT);
+  container.appendChild(body);
+
+  const displayedTexts = utterances.length > 0 ? utterances.map(turn => turn.text) : [text];
+  const tokenCount = tokenizeTranscript(displayedTexts.join(' ')).length;
+  const scoredWords = words.length === tokenCount ? words : [];
+
+  if (utterances.length === 0) {
+    appendScoredText(body, text, scoredWords, 0);
+  }
+
+  let wordIndex = 0;
+  utterances.forEach(({ speaker, text: turnText }) => {
+    const turn = createElement('span', 'speaker-turn');
+    const speakerSpan = createElement('span', 'speaker', speakerNames[speaker] || speaker);
+    speakerSpan.dataset.speaker = speaker;
+    speakerSpan.title = 'Click to rename this speaker';
+
+    turn.appendChild(speakerSpan);
+    wordIndex = appendScoredText(turn, turnText, scoredWords, wordIndex);
+    body.appendChild(turn);
+  });
+
+  if (translation) {
+    container.classList.add(UI_CONSTANTS.CSS_CLASSES.TRANSLATED);
+    const translationSpan = createElement(
+      'span',
+      UI_CONSTANTS.CSS_CLASSES.TRANSLATION,
+      translation.text
+    );
+    translationSpan.lang = translation.language;
+    translationSpan.title = `Translated to ${LANGUAGE_CONFIG.LANGUAGES[translation.language] || translation.language}`;
+    container.appendChild(translationSpan);
+  }
 
   return container;
 };
@@ -180,6 +340,7 @@ export const createTranscriptionItem = (timestamp, channelLabel, text) => {
 
 export const createTabListItem = (tab, isSelected = false) => {
   const label = createElement('label', 'tab-item');
+  label.dataset.tabId = tab.id;
 
   const checkbox = document.createElement('input');
   checkbox.type = 'checkbox';
@@ -188,19 +349,190 @@ export const createTabListItem = (tab, isSelected = false) => {
   checkbox.checked = isSelected;
 
   const icon = document.createElement('img');
-  icon.src = tab.favIconUrl || 'icons/icon16.png';
   icon.alt = 'Tab icon';
 
-  const title = createElement('div', 'tab-title', tab.title || tab.url || `Tab ${tab.id}`);
-
   label.appendChild(checkbox);
   label.appendChild(icon);
-  label.appendChild(title);
+  label.appendChild(createElement('div', 'tab-title'));
+  label.appendChild(createElement('span', 'tab-audio-state'));
 
+  updateTabListItem(label, tab);
   return label;
 };
 
 
+// Patch an existing item in place so the checkbox keeps its state and nothing flickers
+export const updateTabListItem = (item, tab) => {
+  const icon = item.querySelector('img');
+  const favIconUrl = tab.favIconUrl || 'icons/icon16.png';
+  if (icon.getAttribute('src') !== favIconUrl) {
+    icon.src = favIconUrl;
+  }
+
+  item.querySelector('.tab-title').textContent = tab.title || tab.url || `Tab ${tab.id}`;
+
+  const isMuted = Boolean(tab.mutedInfo?.muted);
+  const audioState = item.querySelector('.tab-audio-state');
+  audioState.textContent = isMuted ? 'Muted' : tab.audible ? 'Playing' : '';
+  audioState.title = isMuted ? 'Tab is muted; it can still be recorded' : '';
+
+  item.classList.toggle('audible', Boolean(tab.audible));
+  item.classList.toggle('muted', isMuted);
+  item.classList.toggle('active', Boolean(tab.active));
+};
+
+
+export const findTabListItem = tabId => {
+  return document.querySelector(`#tabsList .tab-item[data-tab-id="${tabId}"]`);
+};
+
+
+export const createHistoryListItem = record => {
+  const item = createElement('div', 'history-item');
+  item.dataset.historyId = record.id;
+
+  const title = createElement('div', 'history-title', record.title);
+
+  const startedAt = new Date(record.startedAt).toLocaleString();
+  const durationMs = record.stoppedAt
+    ? new Date(record.stoppedAt) - new Date(record.startedAt)
+    : null;
+  const duration =
+    durationMs !== null ? new Date(durationMs).toISOString().substring(11, 19) : 'unfinished';
+  const meta = createElement(
+    'div',
+    'history-meta',
+    `${startedAt} · ${duration} · ${record.transcriptCount} segments · ${record.provider}`
+  );
+
+  const actions = createElement('div', 'history-actions');
+  [
+    ['open', 'Open'],
+    ['rename', 'Rename'],
+    ['delete', 'Delete'],
+  ].forEach(([action, text]) => {
+    const button = createElement('button', `history-${action}`, text);
+    button.dataset.action = action;
+    actions.appendChild(button);
+  });
+
+  item.appendChild(title);
+  item.appendChild(meta);
+  item.appendChild(actions);
+
+  return item;
+};
+
+
+// A queued segment; failed ones without a next attempt wait for the user
+export const createPendingSegmentItem = item => {
+  const element = createElement('div', 'pending-item');
+  element.dataset.pendingId = item.id;
+
+  const recordedAt = new Date(item.timestamp).toLocaleTimeString();
+  const title = createElement('div', 'pending-title', `${item.label} · ${recordedAt}`);
+
+  const nextAttempt = item.nextAttemptAt
+    ? `next try ${new Date(item.nextAttemptAt).toLocaleTimeString()}`
+    : 'waiting for manual retry';
+  const meta = createElement(
+    'div',
+    'pending-meta',
+    `${item.attempts} ${item.attempts === 1 ? 'attempt' : 'attempts'} · ${nextAttempt} · ${item.lastError}`
+  );
+
+  const actions = createElement('div', 'pending-actions');
+  [
+    ['retry', 'Retry'],
+    ['discard', 'Discard'],
+  ].forEach(([action, text]) => {
+    const button = createElement('button', 'secondary', text);
+    button.dataset.action = action;
+    actions.appendChild(button);
+  });
+
+  element.appendChild(title);
+  element.appendChild(meta);
+  element.appendChild(actions);
+
+  return element;
+};
+
+
+const createNotesSection = (heading, items, formatItem = item => item) => {
+  const section = createElement('div', 'meeting-notes-section');
+  section.appendChild(createElement('h5', '', heading));
+
+  if (items.length === 0) {
+    section.appendChild(createElement('p', 'meeting-notes-empty', 'None'));
+    return section;
+  }
+
+  const list = createElement('ul');
+  items.forEach(item => list.appendChild(createElement('li', '', formatItem(item))));
+  section.appendChild(list);
+  return section;
+};
+
+
+// Collapsible card for structured notes; the export button carries data-action="export-notes"
+export const createMeetingNotesCard = (notes, createdAt) => {
+  const card = document.createElement('details');
+  card.className = 'meeting-notes';
+  card.open = true;
+
+  const header = createElement('summary', 'meeting-notes-header');
+  header.appendChild(createElement('span', 'meeting-notes-title', 'Meeting notes'));
+  header.appendChild(createElement('span', 'ts', new Date(createdAt).toLocaleTimeString()));
+
+  const exportButton = createElement('button', 'meeting-notes-export', 'Export Markdown');
+  exportButton.dataset.action = 'export-notes';
+
+  card.appendChild(header);
+  card.appendChild(
+    createNotesSection('Action items', notes.actionItems, item => {
+      const details = [item.owner, item.due && `due ${item.due}`].filter(Boolean).join(', ');
+      return details ? `${item.task} — ${details}` : item.task;
+    })
+  );
+  card.appendChild(createNotesSection('Decisions', notes.decisions));
+  card.appendChild(createNotesSection('Open questions', notes.openQuestions));
+  card.appendChild(createNotesSection('Key topics', notes.keyTopics));
+  card.appendChild(exportButton);
+
+  return card;
+};
+
+
+export const createFallbackProviderItem = (provider, isEnabled, { isFirst, isLast }) => {
+  const item = createElement('div', 'fallback-item');
+  item.dataset.providerId = provider.id;
+
+  const label = createElement('label', 'mic-toggle');
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = isEnabled;
+  label.appendChild(checkbox);
+  label.appendChild(document.createTextNode(provider.name));
+
+  const upButton = createElement('button', 'fallback-move', '↑');
+  upButton.dataset.direction = 'up';
+  upButton.title = 'Try earlier';
+  upButton.disabled = isFirst;
+
+  const downButton = createElement('button', 'fallback-move', '↓');
+  downButton.dataset.direction = 'down';
+  downButton.title = 'Try later';
+  downButton.disabled = isLast;
+
+  item.appendChild(label);
+  item.appendChild(upButton);
+  item.appendChild(downButton);
+
+  return item;
+};
+
+
 export const appendChild = (parent, child) => {
   if (parent && child) {
     parent.appendChild(child);
@@ -246,6 +578,16 @@ export const getCurrentSelections = () => {
 };
 
 
+// Deselect tabs that could not be captured so the list matches what is recorded
+export const deselectTabs = tabIds => {
+  document.querySelectorAll('#tabsList input[type="checkbox"]').forEach(checkbox => {
+    if (tabIds.includes(parseInt(checkbox.value, 10))) {
+      checkbox.checked = false;
+    }
+  });
+};
+
+
 export const setStyle = (element, property, value) => {
   if (element && property) {
     element.style[property] = value;
@@ -0,0 +1,85 @@
+import { GLOSSARY_CONFIG } from '../config/app-config.js';
+
+
+
+
+const splitLines = text => {
+  return String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+};
+
+
+// One term per line, e.g. product names, acronyms and people
+export const parseGlossaryTerms = text => {
+  return [...new Set(splitLines(text))];
+};
+
+
+// "wrong => right" per line; lines without the separator are ignored
+export const parseGlossaryCorrections = text => {
+  return splitLines(text)
+    .map(line => {
+      const index = line.indexOf(GLOSSARY_CONFIG.CORRECTION_SEPARATOR);
+      if (index === -1) return null;
+      return {
+        find: line.slice(0, index).trim(),
+        replace: line.slice(index + GLOSSARY_CONFIG.CORRECTION_SEPARATOR.length).trim(),
+      };
+    })
+    .filter(correction => correction?.find);
+};
+
+
+export const formatGlossaryCorrections = corrections => {
+  return corrections
+    .map(({ find, replace }) => `${find} ${GLOSSARY_CONFIG.CORRECTION_SEPARATOR} ${replace}`)
+    .join('\n');
+};
+
+
+
+
+// Deepgram boosts single words, so phrases are sent word by word
+export const getDeepgramKeywords = terms => {
+  const words = terms.flatMap(term => term.split(/\s+/)).filter(Boolean);
+  return [...new Set(words)].slice(0, GLOSSARY_CONFIG.MAX_KEYWORDS);
+};
+
+
+
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+
+// Case-sensitive and on word boundaries, so "AI => A.I." leaves "SAID" alone
+const buildCorrectionPattern = find => {
+  const before = /^[\p{L}\p{N}]/u.test(find) ? '(?<![\\p{L}\\p{N}])' : '';
+  const after = /[\p{L}\p{N}]$/u.test(find) ? '(?![\\p{L}\\p{N}])' : '';
+  return new RegExp(`${before}${escapeRegExp(find)}${after}`, 'gu');
+};
+
+
+export const applyGlossaryCorrections = (text, corrections = []) => {
+  // A function replacement keeps "$" in the replacement literal
+  return corrections.reduce(
+    (result, { find, replace }) => result.replace(buildCorrectionPattern(find), () => replace),
+    text
+  );
+};
+
+
+// Speaker turns are shown instead of the text, so they are corrected too
+export const correctTranscriptResult = (result, corrections = []) => {
+  if (corrections.length === 0) return result;
+
+  return {
+    ...result,
+    text: applyGlossaryCorrections(result.text, corrections),
+    utterances: (result.utterances || []).map(utterance => ({
+      ...utterance,
+      text: applyGlossaryCorrections(utterance.text, corrections),
+    })),
+  };
+};
@@ -0,0 +1,178 @@
+// JSON Schema (subset) for the notes the provider is asked to return
+export const MEETING_NOTES_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['actionItems', 'decisions', 'openQuestions', 'keyTopics'],
+  properties: {
+    actionItems: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['task', 'owner'],
+        properties: {
+          task: { type: 'string' },
+          owner: { type: ['string', 'null'] },
+          due: { type: ['string', 'null'] },
+        },
+      },
+    },
+    decisions: { type: 'array', items: { type: 'string' } },
+    openQuestions: { type: 'array', items: { type: 'string' } },
+    keyTopics: { type: 'array', items: { type: 'string' } },
+  },
+});
+
+
+export const buildMeetingNotesInstructions = () => {
+  return [
+    'Extract structured meeting notes from the transcript below.',
+    'Respond with only a JSON object matching this JSON Schema, and no other text:',
+    JSON.stringify(MEETING_NOTES_SCHEMA),
+    'Use null for an unknown owner or due date. Use empty arrays when nothing applies.',
+    'Transcript:',
+  ].join('\n');
+};
+
+
+
+
+const getJsonType = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+
+/**
+ * Validate a value against the schema subset used here: type, required, properties and items
+ * @param {*} value - Parsed JSON value
+ * @param {Object} schema - Schema to check against
+ * @param {string} path - Location used in error messages
+ * @returns {Array<string>} Validation errors, empty when the value is valid
+ */
+export const validateAgainstSchema = (value, schema, path = 'notes') => {
+  const allowedTypes = [].concat(schema.type);
+  const actualType = getJsonType(value);
+
+  if (!allowedTypes.includes(actualType)) {
+    return [`${path} should be ${allowedTypes.join(' or ')}, got ${actualType}`];
+  }
+
+  if (actualType === 'object') {
+    const missing = (schema.required || [])
+      .filter(key => !(key in value))
+      .map(key => `${path}.${key} is required`);
+
+    const nested = Object.entries(schema.properties || {})
+      .filter(([key]) => key in value)
+      .flatMap(([key, propertySchema]) =>
+        validateAgainstSchema(value[key], propertySchema, `${path}.${key}`)
+      );
+
+    return [...missing, ...nested];
+  }
+
+  if (actualType === 'array' && schema.items) {
+    return value.flatMap((item, index) =>
+      validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+    );
+  }
+
+  return [];
+};
+
+
+/**
+ * Parse and validate a provider response as meeting notes
+ * @param {string} responseText - Raw model output, possibly wrapped in a code fence
+ * @returns {Object} Notes with actionItems, decisions, openQuestions and keyTopics
+ * @throws {Error} When the response is not valid JSON or does not match the schema
+ */
+export const parseMeetingNotes = responseText => {
+  const json = String(responseText || '')
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  let notes;
+  try {
+    notes = JSON.parse(json);
+  } catch {
+    throw new Error('Provider did not return valid JSON');
+  }
+
+  const errors = validateAgainstSchema(notes, MEETING_NOTES_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Meeting notes do not match the schema: ${errors.slice(0, 3).join('; ')}`);
+  }
+
+  return {
+    actionItems: notes.actionItems.map(item => ({
+      task: item.task,
+      owner: item.owner || null,
+      due: item.due || null,
+    })),
+    decisions: notes.decisions,
+    openQuestions: notes.openQuestions,
+    keyTopics: notes.keyTopics,
+  };
+};
+
+
+const uniqueStrings = values => {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+
+// Combine notes extracted from consecutive parts of one long transcript
+export const mergeMeetingNotes = notesList => {
+  const seenTasks = new Set();
+
+  return {
+    actionItems: notesList
+      .flatMap(notes => notes.actionItems)
+      .filter(item => {
+        const key = `${item.task.trim().toLowerCase()}|${item.owner || ''}`;
+        if (seenTasks.has(key)) return false;
+        seenTasks.add(key);
+        return true;
+      }),
+    decisions: uniqueStrings(notesList.flatMap(notes => notes.decisions)),
+    openQuestions: uniqueStrings(notesList.flatMap(notes => notes.openQuestions)),
+    keyTopics: uniqueStrings(notesList.flatMap(notes => notes.keyTopics)),
+  };
+};
+
+
+
+
+const formatActionItem = item => {
+  const details = [item.owner && `owner: ${item.owner}`, item.due && `due: ${item.due}`]
+    .filter(Boolean)
+    .join(', ');
+  return `- [ ] ${item.task}${details ? ` (${details})` : ''}`;
+};
+
+
+const formatListSection = (heading, items, formatItem = item => `- ${item}`) => {
+  const lines = items.length > 0 ? items.map(formatItem) : ['_None_'];
+  return [`## ${heading}`, '', ...lines].join('\n');
+};
+
+
+export const formatMeetingNotesMarkdown = (notes, createdAt = new Date()) => {
+  return [
+    `# Meeting notes — ${new Date(createdAt).toLocaleString()}`,
+    formatListSection('Action items', notes.actionItems, formatActionItem),
+    formatListSection('Decisions', notes.decisions),
+    formatListSection('Open questions', notes.openQuestions),
+    formatListSection('Key topics', notes.keyTopics),
+  ]
+    .join('\n\n')
+    .concat('\n');
+};
@@ -0,0 +1,252 @@
+import { REDACTION_CONFIG } from '../config/app-config.js';
+
+
+
+
+const getDigits = value => value.replace(/\D/g, '');
+
+
+// Doubling every second digit from the right catches mistyped and made-up card numbers
+const isLuhnValid = digits => {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return sum % 10 === 0;
+};
+
+
+// ISO 13616: country code and check digits move to the end, letters count as 10-35, mod 97 is 1
+const isIbanValid = iban => {
+  const rearranged = `${iban.slice(4)}${iban.slice(0, 4)}`;
+  let remainder = 0;
+  for (const char of rearranged) {
+    remainder = Number(`${remainder}${parseInt(char, 36)}`) % 97;
+  }
+  return remainder === 1;
+};
+
+
+// The pattern can run on into a following code or number, so trailing groups are dropped
+// until the checksum matches
+const resolveIban = value => {
+  const groups = value.split(' ');
+  while (groups.length > 0) {
+    const candidate = groups.join(' ');
+    const iban = candidate.replace(/ /g, '');
+    if (iban.length < 15) return null;
+    if (isIbanValid(iban)) return candidate;
+    groups.pop();
+  }
+  return null;
+};
+
+
+// 2024-03-12, 12.03.2024 and 12/03/2024
+const DATE_PATTERN = /^(?:\d{4}-\d{2}-\d{2}|\d{1,2}([./-])\d{1,2}\1\d{2,4})$/;
+
+// A country code, an area code in brackets or a trunk prefix, as in +44 20 7946 0958,
+// (030) 1234567 and 0171 1234567
+const PHONE_PREFIX_PATTERN = /^(?:\+|\(|0)/;
+
+// North American numbers are written without a prefix, as 555-123-4567
+const NANP_PATTERN = /^\d{3}([ .-])\d{3}\1\d{4}$/;
+
+// Spoken amounts, dates and lists come out as digit groups too, so "1234 5678",
+// "12.03.2024" and "Room 101 202 303 404" must not count
+const isNumberList = value => {
+  const groups = value.split(/[\s.-]+/);
+  return groups.length > 2 && groups.every(group => group.length <= 3);
+};
+
+const resolvePhone = value => {
+  const digitCount = getDigits(value).length;
+  const isPhone =
+    digitCount >= REDACTION_CONFIG.MIN_PHONE_DIGITS &&
+    digitCount <= REDACTION_CONFIG.MAX_PHONE_DIGITS &&
+    !DATE_PATTERN.test(value) &&
+    (NANP_PATTERN.test(value) ||
+      (PHONE_PREFIX_PATTERN.test(value) && (value.startsWith('+') || !isNumberList(value))));
+  return isPhone ? value : null;
+};
+
+
+// resolve returns the part of a match to redact, or null for a false positive;
+// normalize makes differently formatted copies of a value hash the same
+const BUILT_IN_DETECTORS = Object.freeze({
+  email: {
+    label: 'EMAIL',
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+    normalize: value => value.toLowerCase(),
+  },
+  card: {
+    label: 'CARD',
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    resolve: value => (isLuhnValid(getDigits(value)) ? value : null),
+    normalize: getDigits,
+  },
+  iban: {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{1,4}){3,8}\b/g,
+    resolve: resolveIban,
+    normalize: value => value.replace(/ /g, ''),
+  },
+  phone: {
+    label: 'PHONE',
+    pattern:
+      /(?<![\p{L}\p{N}+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,5}){1,4}(?![\p{L}\p{N}])/gu,
+    resolve: resolvePhone,
+    normalize: value => `${value.startsWith('+') ? '+' : ''}${getDigits(value)}`,
+  },
+});
+
+
+
+
+/**
+ * Parse custom redaction rules, one regular expression per line
+ * @param {string} text - Rules as entered in settings
+ * @returns {Array<string>} Pattern sources
+ * @throws {Error} When a line is not a valid regular expression
+ */
+export const parseRedactionRules = text => {
+  const rules = String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  rules.forEach((rule, index) => {
+    try {
+      new RegExp(rule, 'gi');
+    } catch {
+      throw new Error(`Rule ${index + 1} is not a valid regular expression`);
+    }
+  });
+  return rules;
+};
+
+
+// Custom rules match case-insensitively; one that no longer compiles is skipped
+const getDetectors = ({ detectors = [], customRules = [] }) => {
+  const customDetectors = customRules
+    .map(rule => {
+      try {
+        return { label: REDACTION_CONFIG.CUSTOM_RULE_LABEL, pattern: new RegExp(rule, 'gi') };
+      } catch (error) {
+        console.warn(`Skipping invalid redaction rule ${rule}:`, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  return [
+    ...detectors.map(detectorId => BUILT_IN_DETECTORS[detectorId]).filter(Boolean),
+    ...customDetectors,
+  ];
+};
+
+
+const findMatches = (text, detectors) => {
+  return detectors.flatMap(({ label, pattern, resolve = value => value, normalize }) =>
+    [...text.matchAll(pattern)]
+      .map(match => ({ index: match.index, value: match[0] && resolve(match[0]) }))
+      .filter(({ value }) => value)
+      .map(({ index, value }) => ({
+        start: index,
+        end: index + value.length,
+        label,
+        value: normalize ? normalize(value) : value,
+      }))
+  );
+};
+
+
+// Earliest first, the longest of those starting together; overlapping matches are skipped
+const selectMatches = matches => {
+  let lastEnd = 0;
+  return [...matches]
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .filter(match => {
+      if (match.start < lastEnd) return false;
+      lastEnd = match.end;
+      return true;
+    });
+};
+
+
+// Salted per install, so a hash can't be reversed by hashing every possible phone number
+const hashValue = async (value, salt) => {
+  const data = new TextEncoder().encode(`${salt}:${value}`);
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, REDACTION_CONFIG.HASH_LENGTH);
+};
+
+
+const getReplacement = async ({ label, value }, { mode, hashSalt }) => {
+  if (mode === REDACTION_CONFIG.MODES.DROP) return '';
+  if (mode === REDACTION_CONFIG.MODES.HASH) {
+    return `[${label}:${await hashValue(value, hashSalt)}]`;
+  }
+  return `[${label}]`;
+};
+
+
+
+
+/**
+ * Replace personal data found by the enabled detectors and custom rules
+ * @param {string} text - Transcript text
+ * @param {Object} settings - Redaction settings including the hash salt
+ * @returns {Promise<string>} Text with each match masked, hashed or dropped
+ */
+export const redactText = async (text, settings) => {
+  if (!settings?.enabled || !text) return text;
+
+  const matches = selectMatches(findMatches(text, getDetectors(settings)));
+  if (matches.length === 0) return text;
+
+  let redacted = '';
+  let position = 0;
+  for (const match of matches) {
+    redacted += text.slice(position, match.start) + (await getReplacement(match, settings));
+    position = match.end;
+  }
+  redacted += text.slice(position);
+
+  // Dropped values leave doubled spaces, and spaces before punctuation, behind
+  if (settings.mode === REDACTION_CONFIG.MODES.DROP) {
+    return redacted
+      .replace(/[ \t]{2,}/g, ' ')
+      .replace(/ ([,.;:!?])/g, '$1')
+      .trim();
+  }
+  return redacted;
+};
+
+
+// Word timings hold the raw words and can't be lined up with the redacted text, so they go
+export const redactTranscriptResult = async (result, settings) => {
+  if (!settings?.enabled) return result;
+
+  const text = await redactText(result.text, settings);
+  const utterances = await Promise.all(
+    result.utterances.map(async utterance => ({
+      ...utterance,
+      text: await redactText(utterance.text, settings),
+    }))
+  );
+
+  return {
+    ...result,
+    text,
+    utterances: utterances.filter(utterance => utterance.text),
+    words: text === result.text ? result.words : [],
+  };
+};
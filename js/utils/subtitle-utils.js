@@ -0,0 +1,167 @@
+import { AUDIO_CONFIG, SUBTITLE_CONFIG } from '../config/app-config.js';
+
+
+
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+
+// 00:01:02,345 for SRT, 00:01:02.345 for WebVTT
+export const formatCueTime = (milliseconds, separator = ',') => {
+  const totalMs = Math.max(0, Math.round(milliseconds));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms, 3)}`;
+};
+
+
+// 2:05 or 1:02:05, like a video player's clock
+export const formatPlaybackTime = totalSeconds => {
+  const whole = Math.max(0, Math.floor(totalSeconds));
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor((whole % 3600) / 60);
+  const seconds = whole % 60;
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+};
+
+
+// Break text into readable chunks, preferring sentence boundaries
+const splitCueText = text => {
+  const words = text.split(/\s+/).filter(Boolean);
+  const chunks = [];
+  let current = '';
+
+  words.forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length > SUBTITLE_CONFIG.MAX_CUE_CHARS && current) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+
+    if (/[.!?]$/.test(word) && current.length >= SUBTITLE_CONFIG.MIN_SENTENCE_CUE_CHARS) {
+      chunks.push(current);
+      current = '';
+    }
+  });
+
+  if (current) chunks.push(current);
+  return chunks;
+};
+
+
+const wrapCueLines = text => {
+  if (text.length <= SUBTITLE_CONFIG.MAX_LINE_CHARS) return text;
+
+  // Split near the middle on a space so both lines are similar in length
+  const middle = Math.floor(text.length / 2);
+  const before = text.lastIndexOf(' ', middle);
+  const after = text.indexOf(' ', middle);
+
+  let splitAt = before;
+  if (before === -1 || (after !== -1 && after - middle < middle - before)) {
+    splitAt = after;
+  }
+
+  if (splitAt === -1) return text;
+  return `${text.slice(0, splitAt)}\n${text.slice(splitAt + 1)}`;
+};
+
+
+/**
+ * Convert transcripts into timed cues relative to the recording start
+ * @param {Array<Object>} transcripts - Entries from completedTranscripts
+ * @param {string|number|Date} recordingStartedAt - When the recording run began
+ * @returns {Array<{startMs: number, endMs: number, text: string, label: string}>} Cues sorted by start time
+ */
+export const buildSubtitleCues = (transcripts, recordingStartedAt) => {
+  const entries = transcripts
+    .filter(transcript => transcript.text && transcript.sessionId !== 'summary')
+    .map(transcript => ({ ...transcript, endAt: new Date(transcript.timestamp).getTime() }))
+    .filter(transcript => !Number.isNaN(transcript.endAt))
+    .sort((a, b) => a.endAt - b.endAt);
+
+  if (entries.length === 0) return [];
+
+  const startedAt = recordingStartedAt
+    ? new Date(recordingStartedAt).getTime()
+    : entries[0].endAt - (entries[0].durationMs || AUDIO_CONFIG.DURATION_MS);
+  const overlapMs = AUDIO_CONFIG.DURATION_MS - AUDIO_CONFIG.STEP_MS;
+  const channelEnds = new Map();
+  const cues = [];
+
+  entries.forEach(entry => {
+    const endMs = entry.endAt - startedAt;
+    const previousEnd = channelEnds.get(entry.sessionId);
+
+    // Segments after the first start with an overlap window that stitching already removed
+    let startMs = entry.durationMs
+      ? endMs - entry.durationMs
+      : endMs - AUDIO_CONFIG.DURATION_MS + (previousEnd !== undefined ? overlapMs : 0);
+    startMs = Math.max(0, startMs, previousEnd ?? 0);
+    channelEnds.set(entry.sessionId, endMs);
+
+    if (endMs <= startMs) return;
+
+    // Spread the segment's time across its chunks by character count
+    const chunks = splitCueText(entry.text);
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let cursor = startMs;
+
+    chunks.forEach(chunk => {
+      const chunkDuration = ((endMs - startMs) * chunk.length) / totalChars;
+      cues.push({
+        startMs: Math.round(cursor),
+        endMs: Math.round(cursor + chunkDuration),
+        text: chunk,
+        label: entry.label,
+      });
+      cursor += chunkDuration;
+    });
+  });
+
+  return cues.sort((a, b) => a.startMs - b.startMs);
+};
+
+
+const hasMultipleLabels = cues => new Set(cues.map(cue => cue.label)).size > 1;
+
+
+export const formatSrt = cues => {
+  const showLabels = hasMultipleLabels(cues);
+
+  return cues
+    .map((cue, index) => {
+      const text = wrapCueLines(cue.text);
+      return [
+        index + 1,
+        `${formatCueTime(cue.startMs)} --> ${formatCueTime(cue.endMs)}`,
+        showLabels ? `[${cue.label}] ${text}` : text,
+      ].join('\n');
+    })
+    .join('\n\n')
+    .concat('\n');
+};
+
+
+const escapeVttText = text => {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+};
+
+
+export const formatVtt = cues => {
+  const showLabels = hasMultipleLabels(cues);
+
+  const body = cues.map(cue => {
+    const text = escapeVttText(wrapCueLines(cue.text));
+    return [
+      `${formatCueTime(cue.startMs, '.')} --> ${formatCueTime(cue.endMs, '.')}`,
+      showLabels ? `<v ${escapeVttText(cue.label)}>${text}` : text,
+    ].join('\n');
+  });
+
+  return ['WEBVTT', ...body].join('\n\n').concat('\n');
+};
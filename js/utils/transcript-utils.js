@@ -0,0 +1,245 @@
+import { STITCH_CONFIG, SUMMARY_CONFIG } from '../config/app-config.js';
+
+
+
+
+export const tokenizeTranscript = text => {
+  return String(text || '')
+    .split(/\s+/)
+    .filter(Boolean);
+};
+
+
+// Compare words without case or punctuation, so "Hello," matches "hello"
+export const normalizeToken = token => {
+  return token.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+};
+
+
+const levenshteinDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + cost
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return previousRow[b.length];
+};
+
+
+export const tokenSimilarity = (a, b) => {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshteinDistance(a, b) / maxLength;
+};
+
+
+// Word-level edit distance where "similar enough" words count as equal
+const alignTokens = (tailTokens, headTokens) => {
+  const rows = tailTokens.length;
+  const cols = headTokens.length;
+  let previousRow = Array.from({ length: cols + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= rows; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= cols; j++) {
+      const isMatch =
+        tokenSimilarity(tailTokens[i - 1], headTokens[j - 1]) >= STITCH_CONFIG.TOKEN_SIMILARITY;
+      currentRow[j] = Math.min(
+        previousRow[j] + 1,
+        currentRow[j - 1] + 1,
+        previousRow[j - 1] + (isMatch ? 0 : 1)
+      );
+    }
+    previousRow = currentRow;
+  }
+
+  return previousRow[cols];
+};
+
+
+/**
+ * Find how many leading words of the next transcript repeat the tail of the previous one
+ * @param {string} previousText - Transcript of the earlier segment
+ * @param {string} nextText - Transcript of the later, overlapping segment
+ * @returns {number} Number of leading words in nextText that belong to the overlap
+ */
+export const findOverlapLength = (previousText, nextText) => {
+  const previousTokens = tokenizeTranscript(previousText).map(normalizeToken).filter(Boolean);
+  const nextRawTokens = tokenizeTranscript(nextText);
+  const nextTokens = nextRawTokens.map(normalizeToken);
+
+  const maxTail = Math.min(STITCH_CONFIG.MAX_OVERLAP_WORDS, previousTokens.length);
+  let best = { headLength: 0, matchedWords: 0, lengthGap: Infinity };
+
+  for (let tailLength = STITCH_CONFIG.MIN_OVERLAP_WORDS; tailLength <= maxTail; tailLength++) {
+    const tail = previousTokens.slice(-tailLength);
+
+    // Wording may differ slightly, so the head can be a little longer or shorter than the tail
+    const minHead = Math.max(1, tailLength - STITCH_CONFIG.LENGTH_TOLERANCE);
+    const maxHead = Math.min(nextRawTokens.length, tailLength + STITCH_CONFIG.LENGTH_TOLERANCE);
+
+    for (let headLength = minHead; headLength <= maxHead; headLength++) {
+      const head = nextTokens.slice(0, headLength).filter(Boolean);
+      const distance = alignTokens(tail, head);
+      const longest = Math.max(tail.length, head.length);
+      const matchRatio = 1 - distance / longest;
+      const matchedWords = longest - distance;
+      const lengthGap = Math.abs(tail.length - head.length);
+
+      // On equal matches, a head as long as the tail also drops a misheard boundary word
+      const isBetter =
+        matchedWords > best.matchedWords ||
+        (matchedWords === best.matchedWords && lengthGap < best.lengthGap);
+
+      if (matchRatio >= STITCH_CONFIG.MIN_MATCH_RATIO && isBetter) {
+        best = { headLength, matchedWords, lengthGap };
+      }
+    }
+  }
+
+  return best.headLength;
+};
+
+
+/**
+ * Remove words at the start of nextText that were already transcribed at the end of previousText
+ * @param {string} previousText - Transcript of the earlier segment
+ * @param {string} nextText - Transcript of the later, overlapping segment
+ * @returns {{text: string, droppedWords: number}} De-duplicated text and how many words were removed
+ */
+export const stitchTranscript = (previousText, nextText) => {
+  if (!previousText || !nextText) {
+    return { text: nextText || '', droppedWords: 0 };
+  }
+
+  const droppedWords = findOverlapLength(previousText, nextText);
+  if (droppedWords === 0) {
+    return { text: nextText, droppedWords: 0 };
+  }
+
+  const text = tokenizeTranscript(nextText).slice(droppedWords).join(' ');
+  return { text, droppedWords };
+};
+
+
+// Speaker turns are { speaker, text }; consecutive turns by the same speaker become one
+export const mergeSpeakerTurns = utterances => {
+  return utterances.reduce((turns, { speaker, text }) => {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) return turns;
+
+    const last = turns[turns.length - 1];
+    if (last && last.speaker === speaker) {
+      last.text = `${last.text} ${trimmed}`;
+    } else {
+      turns.push({ speaker, text: trimmed });
+    }
+    return turns;
+  }, []);
+};
+
+
+// Keeps speaker turns in step with stitchTranscript dropping words from the text
+export const dropLeadingWords = (utterances, count) => {
+  let remaining = count;
+  return utterances
+    .map(utterance => {
+      const tokens = tokenizeTranscript(utterance.text);
+      const dropped = Math.min(remaining, tokens.length);
+      remaining -= dropped;
+      return { ...utterance, text: tokens.slice(dropped).join(' ') };
+    })
+    .filter(utterance => utterance.text);
+};
+
+
+// Plain text with speaker names, for exports and summaries
+export const formatSpeakerText = (transcript, speakerNames = {}) => {
+  if (!transcript.utterances?.length) return transcript.text;
+
+  return transcript.utterances
+    .map(({ speaker, text }) => `${speakerNames[speaker] || speaker}: ${text}`)
+    .join('\n');
+};
+
+
+// Sequenced transcripts go before the first one captured later, or replace an earlier version
+// with the same sequence; the rest are appended
+export const insertTranscriptInOrder = (transcripts, transcript) => {
+  const index =
+    transcript.sequence === undefined
+      ? -1
+      : transcripts.findIndex(existing => existing.sequence >= transcript.sequence);
+  if (index === -1) return [...transcripts, transcript];
+
+  const replaced = transcripts[index].sequence === transcript.sequence ? 1 : 0;
+  return [...transcripts.slice(0, index), transcript, ...transcripts.slice(index + replaced)];
+};
+
+
+export const estimateTokens = text => {
+  return Math.ceil(String(text || '').length / SUMMARY_CONFIG.CHARS_PER_TOKEN);
+};
+
+
+/**
+ * Group text blocks into chunks that each stay under a token budget
+ * @param {Array<string>} blocks - Blocks in order, e.g. one per transcript
+ * @param {number} maxTokens - Estimated token budget per chunk
+ * @returns {Array<string>} Chunks joined with newlines; a block over budget is split by words
+ */
+export const chunkTextByTokens = (blocks, maxTokens = SUMMARY_CONFIG.MAX_CHUNK_TOKENS) => {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length) chunks.push(current.join('\n'));
+    current = [];
+    currentTokens = 0;
+  };
+
+  const addPiece = piece => {
+    const tokens = estimateTokens(piece) + 1;
+    if (currentTokens + tokens > maxTokens) flush();
+    current.push(piece);
+    currentTokens += tokens;
+  };
+
+  blocks.filter(Boolean).forEach(block => {
+    if (estimateTokens(block) < maxTokens) {
+      addPiece(block);
+      return;
+    }
+
+    // One long block, e.g. a single huge transcript: split it on word boundaries
+    let piece = '';
+    tokenizeTranscript(block).forEach(word => {
+      const candidate = piece ? `${piece} ${word}` : word;
+      if (estimateTokens(candidate) >= maxTokens && piece) {
+        addPiece(piece);
+        piece = word;
+      } else {
+        piece = candidate;
+      }
+    });
+    if (piece) addPiece(piece);
+  });
+
+  flush();
+  return chunks;
+};
@@ -0,0 +1,11 @@
+import { encodeAudio } from '../utils/audio-encoders.js';
+
+// Encodes segments off the recorder's thread; see encodeSamples in audio-utils.js
+self.onmessage = ({ data: { id, samples, sampleRate, format } }) => {
+  try {
+    const buffer = encodeAudio(samples, sampleRate, format);
+    self.postMessage({ id, buffer }, [buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -92,7 +92,10 @@ async function validateBuild() {
     'service-worker.js',
     'sidepanel.html',
     'sidepanel.css',
+    'offscreen.html',
     'js/main.js',
+    'js/offscreen.js',
+    'js/workers/audio-encoder-worker.js',
     'icons/icon16.png',
     'icons/icon48.png',
     'icons/icon128.png'
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+// Minimal stand-in for Deepgram's live /v1/listen WebSocket endpoint.
+// Point the extension at it from the side panel devtools console:
+//   chrome.storage.local.set({ STREAMING_ENDPOINT_OVERRIDE: 'ws://localhost:8765/v1/listen' })
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8765;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const CHUNKS_PER_INTERIM = 4;
+const CHUNKS_PER_FINAL = 12;
+const MOCK_WORDS = [
+  'this',
+  'is',
+  'a',
+  'mock',
+  'streaming',
+  'transcript',
+  'from',
+  'the',
+  'local',
+  'server',
+];
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+// Returns { frame, rest } once a complete client frame is buffered, otherwise null
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const isMasked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = isMasked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  const mask = isMasked ? buffer.subarray(offset, offset + 4) : null;
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + length));
+
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+
+  return {
+    frame: { opcode, payload },
+    rest: buffer.subarray(offset + maskLength + length),
+  };
+}
+
+function createResultsMessage(words, isFinal, start, duration) {
+  return JSON.stringify({
+    type: 'Results',
+    is_final: isFinal,
+    speech_final: isFinal,
+    start,
+    duration,
+    channel: { alternatives: [{ transcript: words.join(' '), confidence: 0.99 }] },
+  });
+}
+
+function handleConnection(socket, connectionId) {
+  let buffered = Buffer.alloc(0);
+  let chunkCount = 0;
+  let wordIndex = 0;
+  let segmentWords = [];
+  let segmentStart = 0;
+  let isClosed = false;
+
+  const sendText = text => {
+    if (!isClosed) socket.write(encodeFrame(0x1, Buffer.from(text)));
+  };
+
+  const elapsedSeconds = () => (chunkCount * 250) / 1000;
+
+  const flushFinal = () => {
+    if (segmentWords.length === 0) return;
+    sendText(
+      createResultsMessage(segmentWords, true, segmentStart, elapsedSeconds() - segmentStart)
+    );
+    segmentWords = [];
+    segmentStart = elapsedSeconds();
+  };
+
+  const closeConnection = () => {
+    if (isClosed) return;
+    socket.write(encodeFrame(0x8, Buffer.from([0x03, 0xe8])));
+    isClosed = true;
+    socket.end();
+    console.log(`[${connectionId}] closed after ${chunkCount} audio chunks`);
+  };
+
+  const handleFrame = ({ opcode, payload }) => {
+    if (opcode === 0x2) {
+      chunkCount++;
+
+      if (chunkCount % CHUNKS_PER_INTERIM === 0) {
+        segmentWords.push(MOCK_WORDS[wordIndex++ % MOCK_WORDS.length]);
+        sendText(
+          createResultsMessage(segmentWords, false, segmentStart, elapsedSeconds() - segmentStart)
+        );
+      }
+
+      if (chunkCount % CHUNKS_PER_FINAL === 0) {
+        flushFinal();
+      }
+    } else if (opcode === 0x1) {
+      const message = JSON.parse(payload.toString());
+      if (message.type === 'CloseStream') {
+        flushFinal();
+        closeConnection();
+      }
+    } else if (opcode === 0x8) {
+      closeConnection();
+    } else if (opcode === 0x9) {
+      socket.write(encodeFrame(0xa, payload));
+    }
+  };
+
+  socket.on('data', data => {
+    buffered = Buffer.concat([buffered, data]);
+
+    let decoded = decodeFrame(buffered);
+    while (decoded) {
+      buffered = decoded.rest;
+      handleFrame(decoded.frame);
+      decoded = decodeFrame(buffered);
+    }
+  });
+
+  socket.on('error', error => {
+    console.warn(`[${connectionId}] socket error:`, error.message);
+  });
+}
+
+function startServer() {
+  let connectionCount = 0;
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket upgrade required');
+  });
+
+  server.on('upgrade', (req, socket) => {
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+    if (protocols[0] !== 'token' || !protocols[1]) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+
+    const acceptKey = crypto
+      .createHash('sha1')
+      .update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+      .digest('base64');
+
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey}`,
+        'Sec-WebSocket-Protocol: token',
+        '',
+        '',
+      ].join('\r\n')
+    );
+
+    const connectionId = ++connectionCount;
+    console.log(`[${connectionId}] connected: ${req.url}`);
+    handleConnection(socket, connectionId);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Mock Deepgram streaming server listening on ws://localhost:${PORT}/v1/listen`);
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { startServer, encodeFrame, decodeFrame };
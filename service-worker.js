@@ -1,6 +1,201 @@
+import {
+  CONTENT_SCRIPTS,
+  MESSAGE_TARGETS,
+  MESSAGE_TYPES,
+  OFFSCREEN_CONFIG,
+} from './js/config/app-config.js';
 
 chrome.action.onClicked.addListener(async tab => {
   try {
     await chrome.sidePanel.open({ tabId: tab.id });
   } catch (e) {}
 });
+
+
+
+
+let creatingOffscreenDocument = null;
+
+const hasOffscreenDocument = async () => {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_CONFIG.PATH)],
+  });
+  return contexts.length > 0;
+};
+
+const ensureOffscreenDocument = async () => {
+  if (await hasOffscreenDocument()) return;
+
+  // Concurrent callers share one creation; a second createDocument call would throw
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_CONFIG.PATH,
+        reasons: OFFSCREEN_CONFIG.REASONS,
+        justification: OFFSCREEN_CONFIG.JUSTIFICATION,
+      })
+      .finally(() => {
+        creatingOffscreenDocument = null;
+      });
+  }
+  await creatingOffscreenDocument;
+};
+
+
+
+
+const getTabLabel = tabInfo => `Tab: ${tabInfo.title || tabInfo.url}`;
+
+// Stream IDs let background tabs be captured without focusing or activating them
+const prepareTabSource = async tabId => {
+  const tabInfo = await chrome.tabs.get(tabId);
+  const streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+  return { tabId, streamId, label: getTabLabel(tabInfo) };
+};
+
+// One tab failing (closed, already captured, chrome:// page) shouldn't block the others
+const prepareTabSources = async tabIds => {
+  const tabs = [];
+  const tabErrors = [];
+
+  for (const tabId of tabIds) {
+    try {
+      tabs.push(await prepareTabSource(tabId));
+    } catch (error) {
+      const tabInfo = await chrome.tabs.get(tabId).catch(() => null);
+      tabErrors.push({
+        tabId,
+        label: tabInfo ? getTabLabel(tabInfo) : `Tab ${tabId}`,
+        error: error.message,
+      });
+    }
+  }
+
+  return { tabs, tabErrors };
+};
+
+const sendToOffscreen = async (type, payload = {}) => {
+  return await chrome.runtime.sendMessage({ ...payload, type, target: MESSAGE_TARGETS.OFFSCREEN });
+};
+
+
+
+
+// Content scripts share the tab's message listeners, but each answers only its own target,
+// so a missing answer means the script isn't in the tab yet, e.g. after it navigated
+const sendToContentScript = async (tabId, message, scriptPath) => {
+  const response = await chrome.tabs.sendMessage(tabId, message).catch(() => undefined);
+  if (response !== undefined) return response;
+
+  await chrome.scripting.executeScript({ target: { tabId }, files: [scriptPath] });
+  return await chrome.tabs.sendMessage(tabId, message);
+};
+
+const sendCaptionToTab = async ({ tabId, text, isFinal }) => {
+  const caption = {
+    target: MESSAGE_TARGETS.CAPTION_OVERLAY,
+    type: MESSAGE_TYPES.SHOW_CAPTION,
+    text,
+    isFinal,
+  };
+
+  // Clearing captions shouldn't inject an overlay into a tab that never showed any
+  if (text) {
+    await sendToContentScript(tabId, caption, CONTENT_SCRIPTS.CAPTION_OVERLAY);
+  } else {
+    await chrome.tabs.sendMessage(tabId, caption).catch(() => {});
+  }
+  return { success: true };
+};
+
+// Playback position of the tab's video, or null when it has none
+const getTabMediaTime = async ({ tabId }) => {
+  const response = await sendToContentScript(
+    tabId,
+    { target: MESSAGE_TARGETS.MEDIA_CONTROL, type: MESSAGE_TYPES.GET_MEDIA_TIME },
+    CONTENT_SCRIPTS.MEDIA_CONTROL
+  );
+  return { success: true, state: response?.media ? { ...response.media, tabId } : null };
+};
+
+const seekTabMedia = async ({ tabId, time, url }) => {
+  const response = await sendToContentScript(
+    tabId,
+    { target: MESSAGE_TARGETS.MEDIA_CONTROL, type: MESSAGE_TYPES.SEEK_MEDIA, time, url },
+    CONTENT_SCRIPTS.MEDIA_CONTROL
+  );
+  if (!response?.success) {
+    throw new Error(response?.error || 'The tab did not respond');
+  }
+
+  await chrome.tabs.update(tabId, { active: true });
+  return { success: true, state: null };
+};
+
+
+
+
+// Commands that work without a recording start the recorder if needed
+const forwardWithOffscreenDocument = async message => {
+  await ensureOffscreenDocument();
+  return await sendToOffscreen(message.type, message);
+};
+
+const messageHandlers = {
+  [MESSAGE_TYPES.START_RECORDING]: async ({ config, useMicrophone, tabIds }) => {
+    await ensureOffscreenDocument();
+
+    const { tabs, tabErrors } = await prepareTabSources(tabIds);
+    return await sendToOffscreen(MESSAGE_TYPES.START_RECORDING, {
+      config,
+      useMicrophone,
+      tabs,
+      tabErrors,
+    });
+  },
+
+  [MESSAGE_TYPES.TRANSCRIBE_FILE]: message => forwardWithOffscreenDocument(message),
+
+  // The retry queue lives in IndexedDB, so it can outlive the recorder that filled it
+  [MESSAGE_TYPES.RESUME_PENDING_QUEUE]: message => forwardWithOffscreenDocument(message),
+  [MESSAGE_TYPES.RETRY_PENDING]: message => forwardWithOffscreenDocument(message),
+  [MESSAGE_TYPES.DISCARD_PENDING]: message => forwardWithOffscreenDocument(message),
+
+  // Pages that refuse scripts (chrome://, the Web Store) just go without captions
+  [MESSAGE_TYPES.SHOW_CAPTION]: message => sendCaptionToTab(message),
+  [MESSAGE_TYPES.GET_MEDIA_TIME]: message => getTabMediaTime(message),
+  [MESSAGE_TYPES.SEEK_MEDIA]: message => seekTabMedia(message),
+
+  [MESSAGE_TYPES.ADD_TAB]: async ({ tabId }) => {
+    const { tabs, tabErrors } = await prepareTabSources([tabId]);
+    return await sendToOffscreen(MESSAGE_TYPES.ADD_TAB, { tab: tabs[0], tabErrors });
+  },
+
+  // Without a recorder there is nothing to reattach to
+  [MESSAGE_TYPES.GET_RECORDING_STATE]: async () => {
+    if (!(await hasOffscreenDocument())) {
+      return { success: true, state: null };
+    }
+    return await sendToOffscreen(MESSAGE_TYPES.GET_RECORDING_STATE);
+  },
+};
+
+// Everything else is passed through unchanged when a recorder exists
+const forwardToOffscreen = async message => {
+  if (!(await hasOffscreenDocument())) {
+    return { success: true, state: null };
+  }
+  return await sendToOffscreen(message.type, message);
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.target !== MESSAGE_TARGETS.SERVICE_WORKER) return false;
+
+  const handler = messageHandlers[message.type] || forwardToOffscreen;
+
+  handler(message)
+    .then(sendResponse)
+    .catch(error => sendResponse({ success: false, error: error.message }));
+  return true;
+});
@@ -11,7 +11,9 @@ module.exports = (env, argv) => {
     
     entry: {
       'service-worker': './service-worker.js',
-      'js/main': './js/main.js'
+      'js/main': './js/main.js',
+      'js/offscreen': './js/offscreen.js',
+      'js/workers/audio-encoder-worker': './js/workers/audio-encoder-worker.js'
     },
     
     output: {
@@ -68,6 +70,10 @@ module.exports = (env, argv) => {
             from: 'sidepanel.html',
             to: 'sidepanel.html'
           },
+          {
+            from: 'offscreen.html',
+            to: 'offscreen.html'
+          },
           
           // Copy CSS files
           {
@@ -75,6 +81,12 @@ module.exports = (env, argv) => {
             to: 'sidepanel.css'
           },
           
+          // Content scripts are injected as classic scripts, so they're copied unbundled
+          {
+            from: 'js/content/',
+            to: 'js/content/'
+          },
+          
           // Copy icons
           {
             from: 'icons/',